@@ -8,6 +8,21 @@ class MoveSmartAI {
     this.activeSection = 'home';
     this.timers = new Map();
     
+    // Browser-side reminder timers by reminder id, so edits and cancels can stop them
+    this.reminderTimeouts = new Map();
+    
+    // Ids of reminders this tab is still setting up (sending the confirmation and queuing it)
+    this.reminderSetups = new Set();
+    
+    // Ids of reminders being sent or moved on to their next occurrence, so a check meanwhile leaves them be
+    this.reminderSends = new Set();
+    
+    // Warn early about endpoints a fork hasn't configured
+    this.checkConfig();
+    
+    // Bring data saved by older versions up to date before anything reads it
+    window.AppStore?.migrate();
+    
     // Initialize EmailJS
     this.initEmailJS();
     
@@ -19,6 +34,23 @@ class MoveSmartAI {
     }
   }
   
+  /**
+   * Log a warning listing every missing or malformed setting in js/config.js
+   */
+  checkConfig() {
+    if (!window.APP_CONFIG) {
+      console.warn('⚠️ js/config.js not loaded: emails, chat and site links are unavailable');
+      return;
+    }
+    
+    const problems = window.validateConfig(window.APP_CONFIG);
+    if (problems.length) {
+      console.warn(`⚠️ MoveSmartAI config (${window.APP_CONFIG.environment}) needs attention:\n${problems.map(problem => `  • ${problem}`).join('\n')}`);
+    } else {
+      console.log(`⚙️ Config loaded for ${window.APP_CONFIG.environment}`);
+    }
+  }
+  
   /**
    * Initialize EmailJS for email reminders
    */
@@ -33,6 +65,9 @@ class MoveSmartAI {
     } else {
       console.warn('EmailJS or EMAIL_CONFIG not loaded, using fallback email service');
     }
+    
+    // Transports, fallback order and retries for every reminder message
+    window.ReminderDelivery?.configure(window.DELIVERY_CONFIG || {});
   }
   
   /**
@@ -43,15 +78,33 @@ class MoveSmartAI {
       console.log('🚀 MoveSmartAI initializing...');
       
       this.cacheElements();
+      this.initTheme();
       this.initEventListeners();
       this.initIntersectionObserver();
       this.initAccessibilityFeatures();
       this.initCalendarReminder();
+      this.initMovementBreaks();
+      this.initSettings();
+      this.initDataManagement();
+      this.initExerciseLibrary();
       this.initBotpressChat();
+      this.initServiceWorker();
       
       // Check for any previously scheduled reminders
       this.checkScheduledReminders();
       
+      // Show real numbers from the session log
+      this.updateProgressStats();
+      
+      // Offer back any session interrupted by a reload
+      this.restoreTimers();
+      
+      // Show the view for the current URL (#/workouts, #/stretches/hips-legs, ...)
+      this.initRouter();
+      
+      // Preview a routine opened from a shared link
+      this.openSharedRoutineLink();
+      
       // Track app initialization
       this.trackUserInteraction('app_initialized', 'page_load');
       
@@ -68,16 +121,19 @@ class MoveSmartAI {
    */
   cacheElements() {
     // Navigation
-    this.navLinks = document.querySelectorAll('[data-nav]');
+    this.navLinks = document.querySelectorAll('.nav__link');
     this.backBtns = document.querySelectorAll('.back-btn');
-    this.logo = document.querySelector('.logo');
     
     // Main sections
     this.sections = {
       home: document.querySelector('.main'),
       workouts: document.querySelector('#workouts'),
       stretches: document.querySelector('#stretches'),
-      tips: document.querySelector('#tips')
+      tips: document.querySelector('#tips'),
+      history: document.querySelector('#history'),
+      settings: document.querySelector('#settings'),
+      data: document.querySelector('#data'),
+      exercises: document.querySelector('#exercises')
     };
     
     // Log sections for debugging
@@ -95,67 +151,43 @@ class MoveSmartAI {
     // Cards
     this.cards = document.querySelectorAll('.feature-card, .workout-card, .stretch-card, .tips-card');
     
-    // Timer elements
-    this.timerModal = document.querySelector('#timer-modal');
-    this.challengeTimerModal = document.querySelector('#challenge-timer-modal');
+    // Timer elements (timer modals are found by their data-timer attribute)
+    this.cueSettingsModal = document.querySelector('#cue-settings-modal');
     this.miniTimer = document.querySelector('#mini-timer');
+    this.resumeBanner = document.querySelector('#resume-banner');
+    
+    // Offline support
+    this.updateBanner = document.querySelector('#update-banner');
+    
+    // Movement breaks
+    this.breaksModal = document.querySelector('#movement-breaks-modal');
+    this.breakBanner = document.querySelector('#break-banner');
+    
+    // Settings
+    this.settingsForm = document.querySelector('#settings-form');
+    
+    // Custom routines
+    this.routineBuilderModal = document.querySelector('#routine-builder-modal');
+    this.routineBuilderForm = document.querySelector('#routine-builder-form');
+    this.routinePreviewModal = document.querySelector('#routine-preview-modal');
     
     // Modals
     this.modals = document.querySelectorAll('[role="dialog"], .timer-modal');
     
-    // Timer close buttons
-    this.timerCloseBtn = document.querySelector('.timer-modal__close');
-    this.challengeTimerCloseBtn = document.querySelector('.challenge-timer-modal__close');
-    
-    console.log('Timer elements found:', {
-      timerModal: !!this.timerModal,
-      challengeTimerModal: !!this.challengeTimerModal,
-      timerCloseBtn: !!this.timerCloseBtn,
-      challengeTimerCloseBtn: !!this.challengeTimerCloseBtn
-    });
+    console.log('Timer modals found:', document.querySelectorAll('[data-timer]').length);
   }
   
   /**
    * Initialize event listeners
    */
   initEventListeners() {
-    // Navigation
-    this.navLinks.forEach(link => {
-      link.addEventListener('click', this.handleNavigation.bind(this));
-    });
-    
-    // Logo home navigation
-    if (this.logo) {
-      this.logo.addEventListener('click', () => this.showSection('home'));
-    }
-    
     // Back buttons
     this.backBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.showSection('home'));
+      btn.addEventListener('click', () => this.navigate('/'));
     });
     
     // Card interactions
-    this.cards.forEach((card, index) => {
-      // Handle general card clicks
-      card.addEventListener('click', (e) => {
-        // Check if the click was on a challenge timer button
-        if (e.target.classList.contains('challenge-timer') || e.target.closest('.challenge-timer')) {
-          e.stopPropagation();
-          console.log('Challenge timer button clicked directly');
-          const duration = 60;
-          this.startChallengeTimer(duration, 'Daily Challenge');
-        } else {
-          this.handleCardClick(card, index);
-        }
-      });
-      
-      card.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.handleCardClick(card, index);
-        }
-      });
-    });
+    this.cards.forEach((card, index) => this.bindCard(card, index));
     
     // Challenge timer buttons specifically
     document.querySelectorAll('.challenge-timer').forEach(btn => {
@@ -182,41 +214,153 @@ class MoveSmartAI {
       });
     });
     
-    // Timer close buttons specifically
-    if (this.timerCloseBtn) {
-      this.timerCloseBtn.addEventListener('click', () => this.closeTimerModal());
-    }
-    
-    if (this.challengeTimerCloseBtn) {
-      this.challengeTimerCloseBtn.addEventListener('click', () => this.closeChallengeTimerModal());
-    }
-    
     // Timer controls
     this.initTimerControls();
-    this.initChallengeTimerControls();
+    this.initTimerCues();
+    
+    // Custom routines
+    this.initRoutineBuilder();
+    this.initRoutineSharing();
+    this.initWorkoutLevels();
     
     // Keyboard navigation
     document.addEventListener('keydown', this.handleKeyNavigation.bind(this));
   }
   
   /**
-   * Handle navigation clicks
+   * Wire up click and keyboard interaction for a card
+   */
+  bindCard(card, index) {
+    // Handle general card clicks
+    card.addEventListener('click', (e) => {
+      // Exercise names open their library entry instead of starting the card
+      if (e.target.closest('.exercise-link')) return;
+      
+      // Check if the click was on a challenge timer button
+      if (e.target.classList.contains('challenge-timer') || e.target.closest('.challenge-timer')) {
+        e.stopPropagation();
+        console.log('Challenge timer button clicked directly');
+        const duration = 60;
+        this.startChallengeTimer(duration, 'Daily Challenge');
+      } else {
+        this.handleCardClick(card, index);
+      }
+    });
+    
+    card.addEventListener('keydown', (e) => {
+      if (e.target !== card) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.handleCardClick(card, index);
+      }
+    });
+  }
+  
+  /**
+   * Initialize the hash router and show the view for the current URL
+   */
+  initRouter() {
+    if (!window.HashRouter) {
+      console.warn('HashRouter not loaded, deep links are disabled');
+      return;
+    }
+    
+    this.router = new window.HashRouter([
+      { path: '/', view: 'home' },
+      { path: '/workouts', view: 'workouts' },
+      { path: '/workouts/:item', view: 'workouts' },
+      { path: '/stretches', view: 'stretches' },
+      { path: '/stretches/:item', view: 'stretches' },
+      { path: '/tips', view: 'tips' },
+      { path: '/tips/:item', view: 'tips' },
+      { path: '/tips/:item/challenge', view: 'tips', action: 'challenge' },
+      { path: '/exercises', view: 'exercises' },
+      { path: '/exercises/:item', view: 'exercises' },
+      { path: '/history', view: 'history' },
+      { path: '/settings', view: 'settings' },
+      { path: '/data', view: 'data' }
+    ], {
+      onRoute: (route) => this.showRoute(route),
+      onNotFound: (path) => {
+        console.warn(`No view for "${path}", showing home instead`);
+        this.router.navigate('/', { replace: true });
+      }
+    });
+    
+    this.router.start();
+  }
+  
+  /**
+   * Go to a view, e.g. navigate('/stretches/hips-legs')
+   */
+  navigate(path) {
+    if (this.router) {
+      this.router.navigate(path);
+    } else {
+      this.showSection(path.split('/')[1] || 'home');
+    }
+  }
+  
+  /**
+   * Path for a view and optional card, e.g. ('stretches', 'hips-legs') -> '/stretches/hips-legs'
+   */
+  pathFor(view, item = null) {
+    const base = view === 'home' ? '/' : `/${view}`;
+    return item ? `${base}/${encodeURIComponent(item)}` : base;
+  }
+  
+  /**
+   * Show the view for a route and bring any linked card into focus
    */
-  handleNavigation(e) {
-    e.preventDefault();
+  showRoute({ view, action, params }) {
+    this.showSection(view);
+    
+    // A linked entry has to be visible to be found, whatever the library was filtered to
+    if (view === 'exercises' && params.item) {
+      this.clearExerciseFilters();
+    }
+    
+    const card = params.item ? this.focusRouteItem(view, params.item) : null;
     
-    // Find the button element (either e.target or its parent)
-    let targetButton = e.target;
-    if (targetButton.tagName === 'SPAN') {
-      targetButton = targetButton.parentElement;
+    // Break notifications link to #/tips/<card>/challenge; start it once, then drop
+    // the action from the URL so a reload or Back doesn't start it again
+    if (card && action === 'challenge') {
+      this.startCardChallenge(card);
+      this.router?.navigate(this.pathFor(view, params.item), { replace: true, silent: true });
     }
+  }
+  
+  /**
+   * Scroll to and highlight the card a deep link points at (data-routine or data-slug)
+   * @returns {Element|null} The card, or null when there's no such card
+   */
+  focusRouteItem(view, item) {
+    const section = this.sections[view];
+    const card = section && [...section.querySelectorAll('[data-routine], [data-slug]')]
+      .find(candidate => (candidate.getAttribute('data-routine') || candidate.getAttribute('data-slug')) === item);
     
-    const target = targetButton.getAttribute('data-nav');
-    if (target) {
-      console.log(`Navigating to: ${target}`);
-      this.showSection(target);
-      this.updateActiveNavigation(targetButton);
+    if (!card) {
+      console.warn(`Nothing called "${item}" in ${view}`);
+      this.router?.navigate(this.pathFor(view), { replace: true });
+      return null;
     }
+    
+    card.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    card.focus({ preventScroll: true });
+    card.classList.add('highlighted');
+    setTimeout(() => card.classList.remove('highlighted'), 2000);
+    return card;
+  }
+  
+  /**
+   * Start the 1-minute challenge on a tips card
+   */
+  startCardChallenge(card) {
+    const button = card.querySelector('.challenge-timer');
+    if (!button) return;
+    
+    const duration = parseInt(button.getAttribute('data-duration')) || 60;
+    this.startChallengeTimer(duration, 'Daily Challenge');
   }
   
   /**
@@ -226,6 +370,9 @@ class MoveSmartAI {
     console.log(`Showing section: ${sectionName}`);
     console.log('Available sections:', this.sections);
     
+    // Sessions keep running in the mini-timer while browsing other sections
+    this.minimizeTimers();
+    
     // Hide all sections
     Object.values(this.sections).forEach(section => {
       if (section) {
@@ -249,6 +396,16 @@ class MoveSmartAI {
       
       this.activeSection = sectionName;
       
+      if (sectionName === 'history') {
+        this.renderHistory();
+      }
+      if (sectionName === 'settings') {
+        this.fillSettingsForm();
+      }
+      if (sectionName === 'data') {
+        this.renderDataSummary();
+      }
+      
       // Update navigation active state
       this.updateNavigationForSection(sectionName);
       
@@ -259,19 +416,6 @@ class MoveSmartAI {
     }
   }
   
-  /**
-   * Update active navigation state
-   */
-  updateActiveNavigation(activeLink) {
-    this.navLinks.forEach(link => {
-      link.removeAttribute('aria-current');
-      link.classList.remove('active');
-    });
-    
-    activeLink.setAttribute('aria-current', 'page');
-    activeLink.classList.add('active');
-  }
-  
   /**
    * Update navigation state for a specific section
    */
@@ -283,7 +427,7 @@ class MoveSmartAI {
     });
     
     // Find and activate the correct nav link
-    const targetNavLink = document.querySelector(`[data-nav="${sectionName}"]`);
+    const targetNavLink = [...this.navLinks].find(link => link.getAttribute('href') === `#${this.pathFor(sectionName)}`);
     if (targetNavLink) {
       targetNavLink.setAttribute('aria-current', 'page');
       targetNavLink.classList.add('active');
@@ -338,7 +482,7 @@ class MoveSmartAI {
     if (targetSection === 'chat') {
       this.openChatWidget();
     } else if (targetSection) {
-      this.showSection(targetSection);
+      this.navigate(this.pathFor(targetSection));
     }
   }
   
@@ -346,13 +490,53 @@ class MoveSmartAI {
    * Handle workout/stretch card interaction
    */
   handleWorkoutStretchCard(card, index) {
-    const startButton = card.querySelector('.workout-card__start, .challenge-timer');
+    const startButton = card.querySelector('.workout-card__start, .stretch-card__start, .challenge-timer');
     if (startButton) {
-      const duration = this.getTimerDuration(card);
-      this.startTimer(duration, card.querySelector('h3').textContent);
+      // Point the address bar at this card so it can be copied as a deep link
+      const item = card.getAttribute('data-routine') || card.getAttribute('data-slug');
+      if (item && this.router) {
+        this.router.navigate(this.pathFor(this.activeSection, item), { replace: true, silent: true });
+      }
+      
+      if (card.classList.contains('stretch-card')) {
+        this.startStretchPlayer(card);
+        return;
+      }
+      
+      const routine = this.getCardRoutine(card);
+      if (routine) {
+        // Exercise names become the variants for the chosen level
+        const leveled = this.getLeveledRoutine(routine);
+        const steps = window.WorkoutSteps.build(leveled);
+        const title = leveled.level && leveled.level !== window.WorkoutLevels.defaultLevel
+          ? `${routine.title} · ${window.WorkoutLevels.levels[leveled.level].label}`
+          : routine.title;
+        this.startTimer(window.WorkoutSteps.total(steps), title, steps);
+      } else {
+        const duration = this.getTimerDuration(card);
+        this.startTimer(duration, card.querySelector('h3').textContent);
+      }
     }
   }
   
+  /**
+   * Get the structured routine for a workout card, if it has one
+   */
+  getCardRoutine(card) {
+    const routineId = card.getAttribute('data-routine');
+    if (!routineId || !window.WORKOUT_ROUTINES || !window.WorkoutSteps) return null;
+    
+    return window.WORKOUT_ROUTINES[routineId] || window.CustomRoutines?.get(routineId) || null;
+  }
+  
+  /**
+   * A routine adjusted to the difficulty level chosen for it
+   */
+  getLeveledRoutine(routine) {
+    if (!window.WorkoutLevels) return routine;
+    return window.WorkoutLevels.apply(routine, window.WorkoutLevels.get(routine.id));
+  }
+  
   /**
    * Handle tips card interaction
    */
@@ -399,829 +583,2829 @@ class MoveSmartAI {
   }
   
   /**
-   * Initialize timer controls
+   * Mount a timer view in every modal marked with data-timer
    */
   initTimerControls() {
-    const startBtns = document.querySelectorAll('.timer-btn--start');
-    const pauseBtns = document.querySelectorAll('.timer-btn--pause');
-    const resetBtns = document.querySelectorAll('.timer-btn--reset');
+    this.timerViews = {};
     
-    startBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleTimerControl('start'));
+    document.querySelectorAll('[data-timer]').forEach(modal => {
+      const view = new TimerView(modal, {
+        onAction: (action) => this.handleTimerControl(view.name, action)
+      });
+      this.timerViews[view.name] = view;
     });
     
-    pauseBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleTimerControl('pause'));
-    });
+    this.initMiniTimer();
+    this.initResumePrompt();
     
-    resetBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleTimerControl('reset'));
-    });
+    // Last save before the tab goes away (reload, close, or the phone killing it)
+    window.addEventListener('pagehide', () => this.saveActiveTimers());
   }
   
   /**
-   * Start timer
+   * Start a workout timer (an interval routine, or a plain countdown when there are no steps)
    */
-  startTimer(duration, title = 'Workout') {
+  startTimer(duration, title = 'Workout', steps = null) {
     console.log(`⏱️ Starting timer: ${duration}s for "${title}"`);
     
-    const timerId = Date.now();
-    const timer = {
-      id: timerId,
-      duration: duration,
-      remaining: duration,
-      title: title,
-      isRunning: false,
-      interval: null
-    };
-    
-    this.timers.set(timerId, timer);
-    this.showTimerModal(timer);
-    this.trackUserInteraction('timer_started', title);
+    this.startTimerSession('workout', title, steps || [{ type: 'work', name: title, duration }]);
   }
   
   /**
-   * Show timer modal
+   * Start challenge timer
    */
-  showTimerModal(timer) {
-    if (this.timerModal) {
-      this.timerModal.classList.add('active');
-      this.updateTimerDisplay(timer);
-      
-      // Focus management
-      const firstButton = this.timerModal.querySelector('.timer-btn--start');
-      if (firstButton) {
-        setTimeout(() => firstButton.focus(), 100);
-      }
-      
-      this.announceToScreenReader(`Timer started for ${timer.title}`);
-    }
+  startChallengeTimer(duration, title = 'Challenge') {
+    console.log(`⏱️ Starting challenge timer: ${duration}s for "${title}"`);
+    
+    this.startTimerSession('challenge', title, [{ type: 'work', name: title, duration }]);
   }
   
   /**
-   * Update timer display
+   * Start the guided stretch player for a stretch card
    */
-  updateTimerDisplay(timer) {
-    const display = document.querySelector('.timer-time');
-    if (display) {
-      const minutes = Math.floor(timer.remaining / 60);
-      const seconds = timer.remaining % 60;
-      display.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    }
+  startStretchPlayer(card) {
+    if (!window.StretchSteps) return;
+    
+    const stretches = Array.from(card.querySelectorAll('.stretch-steps li'))
+      .map(item => window.StretchSteps.parse(item.textContent));
+    const steps = window.StretchSteps.build(stretches);
+    if (!steps.length) return;
+    
+    const title = card.querySelector('h3').textContent;
+    console.log(`🧘 Starting stretch player: ${steps.length} steps for "${title}"`);
+    
+    this.startTimerSession('stretch', title, steps);
   }
   
   /**
-   * Handle timer controls
+   * Create a named timer, replacing any timer with the same name, and show it in its modal
    */
-  handleTimerControl(action) {
-    const activeTimer = Array.from(this.timers.values()).find(t => t.isRunning || this.timerModal?.classList.contains('active'));
-    
-    if (!activeTimer) return;
-    
-    switch (action) {
-      case 'start':
-        this.resumeTimer(activeTimer);
-        break;
-      case 'pause':
-        this.pauseTimer(activeTimer);
-        break;
-      case 'reset':
-        this.resetTimer(activeTimer);
-        break;
-      case 'stop':
-        this.stopTimer(activeTimer);
-        break;
+  startTimerSession(name, title, steps, type = name) {
+    const existing = this.timers.get(name);
+    if (existing) {
+      this.discardTimer(existing);
     }
+    
+    const timer = new TimerController(name, { title, steps, type });
+    this.registerTimer(timer);
+    this.showTimerModal(timer);
+    this.trackUserInteraction(`${type}_timer_started`, title);
+    return timer;
   }
   
   /**
-   * Resume timer
+   * Track a timer by name and wire its events to the display, cues, session log and saved state
    */
-  resumeTimer(timer) {
-    if (timer.isRunning) return;
+  registerTimer(timer) {
+    timer.logged = false;
     
-    timer.isRunning = true;
-    timer.interval = setInterval(() => {
-      timer.remaining--;
-      this.updateTimerDisplay(timer);
-      
-      if (timer.remaining <= 0) {
-        this.completeTimer(timer);
+    timer.on('tick', () => this.handleTimerTick(timer));
+    timer.on('phase', (_, step) => this.handleTimerStepChange(timer, step));
+    timer.on('start', () => this.updateMiniTimer());
+    timer.on('pause', () => this.refreshTimerDisplay(timer));
+    timer.on('reset', () => this.refreshTimerDisplay(timer));
+    timer.on('complete', () => this.completeTimer(timer));
+    
+    // Keep the saved copy current so a reload can offer the session back
+    ['start', 'tick', 'phase', 'pause', 'reset', 'complete'].forEach(event => {
+      timer.on(event, () => this.saveActiveTimers());
+    });
+    
+    timer.on('start', () => {
+      if (timer.restored) {
+        timer.restored = false;
+        this.showResumePrompt();
       }
-    }, 1000);
+    });
     
-    this.trackUserInteraction('timer_resumed', timer.title);
+    this.timers.set(timer.name, timer);
   }
   
   /**
-   * Pause timer
+   * Pause, log and forget a timer
    */
-  pauseTimer(timer) {
-    if (!timer.isRunning) return;
-    
-    timer.isRunning = false;
-    if (timer.interval) {
-      clearInterval(timer.interval);
-      timer.interval = null;
-    }
-    
-    this.trackUserInteraction('timer_paused', timer.title);
+  discardTimer(timer) {
+    timer.pause();
+    this.recordTimerSession(timer, 'partial');
+    timer.destroy();
+    this.timers.delete(timer.name);
+    this.saveActiveTimers();
+    this.updateMiniTimer();
+    this.showResumePrompt();
   }
   
   /**
-   * Reset timer
+   * Save sessions in progress to storage
    */
-  resetTimer(timer) {
-    this.pauseTimer(timer);
-    timer.remaining = timer.duration;
-    this.updateTimerDisplay(timer);
-    
-    this.trackUserInteraction('timer_reset', timer.title);
+  saveActiveTimers() {
+    if (window.SavedTimers) {
+      window.SavedTimers.save(Array.from(this.timers.values()));
+    }
   }
   
   /**
-   * Complete timer
+   * Bring back sessions interrupted by a reload (paused), logging old ones as partial
    */
-  completeTimer(timer) {
-    this.pauseTimer(timer);
+  restoreTimers() {
+    if (!window.SavedTimers) return;
     
-    // Show completion message
-    this.announceToScreenReader(`Timer completed for ${timer.title}. Great job!`);
-    
-    // Optional: Play sound or show notification
-    this.showTimerCompletion(timer);
+    window.SavedTimers.load().forEach(state => {
+      try {
+        const timer = TimerController.restore(state);
+        
+        if (window.SavedTimers.isStale(state)) {
+          this.recordTimerSession(timer, 'partial');
+          timer.destroy();
+          return;
+        }
+        
+        this.registerTimer(timer);
+        timer.restored = true;
+        console.log(`⏯️ Restored interrupted session: "${timer.title}"`);
+      } catch (error) {
+        console.warn('Could not restore saved timer:', error);
+      }
+    });
     
-    this.trackUserInteraction('timer_completed', timer.title);
+    this.saveActiveTimers();
+    this.updateMiniTimer();
+    this.showResumePrompt();
   }
-
+  
   /**
-   * Stop timer (end session early)
+   * Offer the newest restored session back ("Resume 10-Min Full Body — 4:12 left?")
    */
-  stopTimer(timer) {
-    this.pauseTimer(timer);
-    
-    // Close timer modal
-    if (this.timerModal) {
-      this.timerModal.classList.remove('active');
-    }
+  showResumePrompt() {
+    if (!this.resumeBanner) return;
     
-    // Remove timer from map
-    this.timers.delete(timer.id);
+    const timer = Array.from(this.timers.values()).reverse().find(t => t.restored && t.status === 'paused');
+    this.resumeBanner.hidden = !timer;
+    this.resumeTimerName = timer ? timer.name : null;
+    if (!timer) return;
     
-    this.announceToScreenReader(`Timer stopped for ${timer.title}`);
-    this.trackUserInteraction('timer_stopped', timer.title);
+    const text = this.resumeBanner.querySelector('.resume-banner__text');
+    text.textContent = `Resume ${timer.title} — ${this.formatTime(timer.remaining())} left?`;
+    this.announceToScreenReader(text.textContent);
   }
   
   /**
-   * Start challenge timer
+   * Wire up the resume prompt buttons
    */
-  startChallengeTimer(duration, title = 'Challenge') {
-    console.log(`⏱️ Starting challenge timer: ${duration}s for "${title}"`);
+  initResumePrompt() {
+    if (!this.resumeBanner) return;
     
-    const timerId = Date.now();
-    const timer = {
-      id: timerId,
-      duration: duration,
-      remaining: duration,
-      title: title,
-      isRunning: false,
-      interval: null,
-      isChallenge: true
-    };
+    this.resumeBanner.querySelector('.resume-banner__btn--resume')?.addEventListener('click', () => {
+      const timer = this.timers.get(this.resumeTimerName);
+      if (!timer) return;
+      
+      this.showTimerModal(timer);
+      this.handleTimerControl(timer.name, 'start');
+      this.trackUserInteraction('session_resumed', timer.title);
+    });
     
-    this.timers.set(timerId, timer);
-    this.showChallengeTimerModal(timer);
-    this.trackUserInteraction('challenge_timer_started', title);
+    this.resumeBanner.querySelector('.resume-banner__btn--discard')?.addEventListener('click', () => {
+      const timer = this.timers.get(this.resumeTimerName);
+      if (!timer) return;
+      
+      this.discardTimer(timer);
+      this.trackUserInteraction('session_discarded', timer.title);
+    });
   }
   
   /**
-   * Show challenge timer modal
+   * Runs whenever a timer reports a new whole second (including catch-up after a background tab)
    */
-  showChallengeTimerModal(timer) {
-    if (this.challengeTimerModal) {
-      this.challengeTimerModal.classList.add('active');
-      this.challengeTimerModal.setAttribute('aria-hidden', 'false');
-      this.updateChallengeTimerDisplay(timer);
-      
-      // Focus management
-      const firstButton = this.challengeTimerModal.querySelector('.challenge-timer-btn--start');
-      if (firstButton) {
-        setTimeout(() => firstButton.focus(), 100);
-      }
-      
-      this.announceToScreenReader(`Challenge timer started for ${timer.title}`);
+  handleTimerTick(timer) {
+    this.refreshTimerDisplay(timer);
+    
+    // Beep for the last 3 seconds of each timed step
+    const left = timer.stepRemaining();
+    if (timer.isRunning && left !== null && left >= 1 && left <= 3) {
+      this.playCue('countdown');
     }
   }
   
   /**
-   * Update challenge timer display
+   * Show a timer in its modal
    */
-  updateChallengeTimerDisplay(timer) {
-    const display = document.querySelector('.challenge-timer-time');
-    if (display) {
-      const minutes = Math.floor(timer.remaining / 60);
-      const seconds = timer.remaining % 60;
-      display.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  showTimerModal(timer) {
+    const view = this.timerViews[timer.name];
+    if (!view) return;
+    
+    view.show();
+    this.refreshTimerDisplay(timer);
+    this.announceToScreenReader(`Timer ready for ${timer.title}`);
+  }
+  
+  /**
+   * Redraw the modal (and mini-timer) showing this timer
+   */
+  refreshTimerDisplay(timer) {
+    const view = this.timerViews[timer.name];
+    if (view) {
+      view.render(this.describeTimer(timer));
     }
+    this.updateMiniTimer();
   }
   
   /**
-   * Initialize challenge timer controls
+   * Text for every timer field: current step, time, round, side, breathing and what's next
    */
-  initChallengeTimerControls() {
-    const startBtns = document.querySelectorAll('.challenge-timer-btn--start');
-    const pauseBtns = document.querySelectorAll('.challenge-timer-btn--pause');
-    const resetBtns = document.querySelectorAll('.challenge-timer-btn--reset');
+  describeTimer(timer) {
+    const step = timer.step;
+    const index = timer.stepIndex;
+    const upcoming = timer.nextStep();
+    const isInterval = timer.steps.length > 1;
     
-    startBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleChallengeTimerControl('start'));
-    });
+    const meta = [];
+    if (step.round) meta.push(`Round ${step.round}/${step.totalRounds}`);
+    if (step.reps && step.type === 'work') meta.push(`${step.reps} reps`);
     
-    pauseBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleChallengeTimerControl('pause'));
-    });
+    // Breathing pace for static holds
+    let breathPhase = null;
+    let breath = 'Slow, steady breaths';
+    if (step.manual) {
+      breath = 'Go at your own pace, then tap Done';
+    } else if (step.type === 'hold' && timer.isRunning) {
+      breathPhase = window.StretchSteps.breathAt(timer.stepElapsed());
+      breath = breathPhase === 'in' ? 'Breathe in…' : 'Breathe out…';
+    }
     
-    resetBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handleChallengeTimerControl('reset'));
-    });
+    let next = '';
+    if (upcoming) {
+      next = `Next: ${upcoming.name}${upcoming.side ? ` (${upcoming.side})` : ''}`;
+    } else if (isInterval) {
+      next = 'Last one — finish strong!';
+    }
+    
+    return {
+      title: timer.title,
+      name: isInterval ? step.name : timer.title,
+      meta: meta.join(' · '),
+      progress: `Step ${index + 1} of ${timer.steps.length}`,
+      cue: step.switchSides ? `🔄 Switch sides — ${step.side}` : (step.side || ''),
+      time: step.manual ? `${step.reps} reps` : this.formatTime(timer.stepRemaining()),
+      breath: breath,
+      breathPhase: breathPhase,
+      next: next,
+      total: isInterval ? `${this.formatTime(timer.remaining())} left in ${timer.type}` : '',
+      phase: step.type,
+      manual: Boolean(step.manual)
+    };
   }
   
   /**
-   * Handle challenge timer controls
+   * Announce a new step and play its cue
    */
-  handleChallengeTimerControl(action) {
-    const activeTimer = Array.from(this.timers.values()).find(t => t.isChallenge && (t.isRunning || this.challengeTimerModal?.classList.contains('active')));
+  handleTimerStepChange(timer, step) {
+    let message;
+    if (step.type === 'rest') {
+      message = `Rest ${step.duration} seconds`;
+    } else if (step.switchSides) {
+      message = `Switch sides. ${step.name}, ${step.side}`;
+    } else if (step.manual) {
+      message = `${step.name}, ${step.reps} reps. Tap done when finished`;
+    } else if (step.type === 'hold') {
+      message = `${step.name}${step.side ? `, ${step.side}` : ''}. Hold for ${step.duration} seconds`;
+    } else {
+      message = `${step.name}${step.reps ? `, ${step.reps} reps` : ''}${step.round ? `, round ${step.round} of ${step.totalRounds}` : ''}`;
+    }
     
-    if (!activeTimer) return;
+    this.refreshTimerDisplay(timer);
+    this.announceToScreenReader(message);
+    this.playCue(step.type === 'rest' ? 'rest' : 'phase', step.switchSides ? 'Switch sides' : message);
+    this.trackUserInteraction('timer_step', `${timer.title}: ${step.name}`);
+  }
+  
+  /**
+   * Format seconds as m:ss
+   */
+  formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+  
+  /**
+   * Handle timer controls for the named timer
+   */
+  handleTimerControl(name, action) {
+    const timer = this.timers.get(name);
+    if (!timer) return;
     
     switch (action) {
       case 'start':
-        this.resumeChallengeTimer(activeTimer);
+        this.unlockTimerCues();
+        timer.start();
         break;
       case 'pause':
-        this.pauseChallengeTimer(activeTimer);
+        timer.pause();
         break;
       case 'reset':
-        this.resetChallengeTimer(activeTimer);
+        timer.pause();
+        this.recordTimerSession(timer, 'partial');
+        timer.reset();
+        timer.logged = false;
         break;
+      case 'done':
+        timer.done();
+        break;
+      case 'stop':
+        this.stopTimer(timer);
+        return;
     }
-  }
-  
-  /**
-   * Resume challenge timer
-   */
-  resumeChallengeTimer(timer) {
-    if (timer.isRunning) return;
-    
-    timer.isRunning = true;
-    timer.interval = setInterval(() => {
-      timer.remaining--;
-      this.updateChallengeTimerDisplay(timer);
-      
-      if (timer.remaining <= 0) {
-        this.completeChallengeTimer(timer);
-      }
-    }, 1000);
     
-    this.trackUserInteraction('challenge_timer_resumed', timer.title);
+    this.trackUserInteraction(`${timer.type}_timer_${action}`, timer.title);
   }
   
   /**
-   * Pause challenge timer
+   * Complete timer
    */
-  pauseChallengeTimer(timer) {
-    if (!timer.isRunning) return;
+  completeTimer(timer) {
+    this.recordTimerSession(timer, 'completed');
     
-    timer.isRunning = false;
-    if (timer.interval) {
-      clearInterval(timer.interval);
-      timer.interval = null;
-    }
+    const messages = {
+      workout: `🎉 Great job! You completed your ${timer.title}!`,
+      challenge: `🎉 Amazing! You completed your ${timer.title}! Keep up the great work!`,
+      stretch: `🎉 Nice work! You finished your ${timer.title} stretches!`
+    };
+    const completionMessage = messages[timer.type] || messages.workout;
     
-    this.trackUserInteraction('challenge_timer_paused', timer.title);
-  }
-  
-  /**
-   * Reset challenge timer
-   */
-  resetChallengeTimer(timer) {
-    this.pauseChallengeTimer(timer);
-    timer.remaining = timer.duration;
-    this.updateChallengeTimerDisplay(timer);
+    this.announceToScreenReader(`${timer.title} completed. Great job!`);
+    this.playCue('complete', `${timer.title} complete. Great job!`);
+    this.showTimerCompletion(timer);
     
-    this.trackUserInteraction('challenge_timer_reset', timer.title);
+    console.log(completionMessage);
+    alert(completionMessage);
+    this.trackUserInteraction(`${timer.type}_timer_completed`, timer.title);
   }
   
   /**
-   * Complete challenge timer
+   * Show timer completion in the modal
    */
-  completeChallengeTimer(timer) {
-    this.pauseChallengeTimer(timer);
+  showTimerCompletion(timer) {
+    const view = this.timerViews[timer.name];
+    if (!view) return;
     
-    // Show completion message
-    this.announceToScreenReader(`Challenge completed for ${timer.title}. Awesome job!`);
+    view.render({ ...this.describeTimer(timer), name: timer.title, time: '🎉 DONE!', next: '', total: '', manual: false });
     
-    const display = document.querySelector('.challenge-timer-time');
+    // A class rather than inline colours, so the display follows a theme change
+    const display = view.field('time');
     if (display) {
-      display.textContent = '🎉 DONE!';
-      display.style.color = 'var(--color-success)';
+      display.classList.add('timer-time--done');
       
       setTimeout(() => {
-        display.style.color = 'var(--color-primary)';
+        display.classList.remove('timer-time--done');
       }, 3000);
     }
+  }
+  
+  /**
+   * Stop timer (end session early)
+   */
+  stopTimer(timer) {
+    this.timerViews[timer.name]?.hide();
+    
+    // Log and remove timer from map
+    this.discardTimer(timer);
     
-    alert(`🎉 Amazing! You completed your ${timer.title}! Keep up the great work!`);
-    this.trackUserInteraction('challenge_timer_completed', timer.title);
+    this.announceToScreenReader(`Timer stopped for ${timer.title}`);
+    this.trackUserInteraction('timer_stopped', timer.title);
   }
   
   /**
-   * Close timer modal
+   * Close a timer modal; a session in progress carries on in the mini-timer
    */
-  closeTimerModal() {
-    if (this.timerModal) {
-      this.timerModal.classList.remove('active');
-      this.timerModal.setAttribute('aria-hidden', 'true');
+  closeTimer(name) {
+    this.timerViews[name]?.hide();
+    this.updateMiniTimer();
+  }
+  
+  /**
+   * Minimise any open timer modal (e.g. when moving to another section)
+   */
+  minimizeTimers() {
+    Object.values(this.timerViews || {}).forEach(view => {
+      if (view.isOpen) {
+        this.closeTimer(view.name);
+      }
+    });
+  }
+  
+  /**
+   * Wire up the floating mini-timer: tap to reopen, pause/resume, end session
+   */
+  initMiniTimer() {
+    if (!this.miniTimer) return;
+    
+    const withTimer = (callback) => () => {
+      const timer = this.timers.get(this.miniTimerName);
+      if (timer) callback(timer);
+    };
+    
+    this.miniTimer.querySelector('.mini-timer__open')
+      ?.addEventListener('click', withTimer(timer => this.showTimerModal(timer)));
+    
+    this.miniTimer.querySelector('.mini-timer__toggle')
+      ?.addEventListener('click', withTimer(timer => {
+        this.handleTimerControl(timer.name, timer.isRunning ? 'pause' : 'start');
+      }));
+    
+    this.miniTimer.querySelector('.mini-timer__close')
+      ?.addEventListener('click', withTimer(timer => this.stopTimer(timer)));
+  }
+  
+  /**
+   * Show the newest session in progress in the mini-timer, unless a timer modal is open
+   */
+  updateMiniTimer() {
+    if (!this.miniTimer || !this.timerViews) return;
+    
+    const modalOpen = Object.values(this.timerViews).some(view => view.isOpen);
+    const inProgress = Array.from(this.timers.values()).reverse();
+    const timer = modalOpen ? null : (inProgress.find(t => t.status === 'running') || inProgress.find(t => t.status === 'paused'));
+    
+    this.miniTimerName = timer ? timer.name : null;
+    this.miniTimer.classList.toggle('active', Boolean(timer));
+    this.miniTimer.setAttribute('aria-hidden', String(!timer));
+    if (!timer) return;
+    
+    const fields = this.describeTimer(timer);
+    this.miniTimer.querySelector('.mini-timer__time').textContent = fields.time;
+    this.miniTimer.querySelector('.mini-timer__label').textContent = fields.name;
+    this.miniTimer.classList.toggle('is-paused', !timer.isRunning);
+    
+    const toggle = this.miniTimer.querySelector('.mini-timer__toggle');
+    toggle.textContent = timer.isRunning ? '⏸' : '▶';
+    toggle.setAttribute('aria-label', timer.isRunning ? 'Pause timer' : 'Resume timer');
+  }
+  
+  /**
+   * Initialize timer sound/vibration toggles and the settings dialog
+   */
+  initTimerCues() {
+    if (!window.TimerCues) return;
+    
+    window.TimerCues.loadPrefs();
+    
+    document.querySelectorAll('.timer-sound__toggle').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const prefs = window.TimerCues.savePrefs({ muted: !window.TimerCues.prefs.muted });
+        this.updateCueControls();
+        this.announceToScreenReader(prefs.muted ? 'Timer sounds muted' : 'Timer sounds on');
+        this.trackUserInteraction('cues_muted', String(prefs.muted));
+      });
+    });
+    
+    document.querySelectorAll('.timer-sound__settings').forEach(btn => {
+      btn.addEventListener('click', () => this.openCueSettings());
+    });
+    
+    if (this.cueSettingsModal) {
+      const form = this.cueSettingsModal.querySelector('#cue-settings-form');
+      form?.addEventListener('change', () => this.saveCueSettings(form));
+      form?.addEventListener('submit', (e) => e.preventDefault());
+      
+      this.cueSettingsModal.querySelector('.cue-settings__close')
+        ?.addEventListener('click', () => this.closeCueSettings());
+      
+      this.cueSettingsModal.querySelector('.cue-settings__test')
+        ?.addEventListener('click', () => {
+          this.unlockTimerCues();
+          this.playCue('phase', 'Rest 20 seconds');
+        });
       
-      // Stop any running workout timers
-      this.timers.forEach(timer => {
-        if (!timer.isChallenge) {
-          this.pauseTimer(timer);
+      this.cueSettingsModal.addEventListener('click', (e) => {
+        if (e.target === this.cueSettingsModal) {
+          this.closeCueSettings();
         }
       });
     }
+    
+    this.updateCueControls();
   }
   
   /**
-   * Close challenge timer modal
+   * Reflect cue preferences in the mute toggles and settings form
    */
-  closeChallengeTimerModal() {
-    if (this.challengeTimerModal) {
-      this.challengeTimerModal.classList.remove('active');
-      this.challengeTimerModal.setAttribute('aria-hidden', 'true');
-      
-      // Stop any running challenge timers
-      this.timers.forEach(timer => {
-        if (timer.isChallenge) {
-          this.pauseChallengeTimer(timer);
-        }
+  updateCueControls() {
+    const prefs = window.TimerCues.prefs;
+    
+    document.querySelectorAll('.timer-sound__toggle').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(prefs.muted));
+      btn.textContent = prefs.muted ? '🔇 Muted' : '🔊 Sound on';
+    });
+    
+    const form = this.cueSettingsModal?.querySelector('#cue-settings-form');
+    if (form) {
+      ['muted', 'countdown', 'phase', 'complete', 'vibrate', 'voice'].forEach(name => {
+        form.elements[name].checked = Boolean(prefs[name]);
       });
+      form.elements.volume.value = Math.round(prefs.volume * 100);
     }
   }
   
   /**
-   * Show timer completion
+   * Save the cue settings form
    */
-  showTimerCompletion(timer) {
-    const completionMessage = `🎉 Great job! You completed your ${timer.title}!`;
+  saveCueSettings(form) {
+    const changes = { volume: parseInt(form.elements.volume.value) / 100 };
+    ['muted', 'countdown', 'phase', 'complete', 'vibrate', 'voice'].forEach(name => {
+      changes[name] = form.elements[name].checked;
+    });
     
-    // Update timer display
-    const display = document.querySelector('.timer-time');
-    if (display) {
-      display.textContent = '🎉 DONE!';
-      display.style.color = 'var(--color-success)';
-      
-      setTimeout(() => {
-        display.style.color = 'var(--color-primary)';
-      }, 3000);
-    }
+    window.TimerCues.savePrefs(changes);
+    this.updateCueControls();
+    this.trackUserInteraction('cue_settings_saved', JSON.stringify(changes));
+  }
+  
+  /**
+   * Open sound & vibration settings
+   */
+  openCueSettings() {
+    if (!this.cueSettingsModal) return;
     
-    // Could add confetti or other celebration effects here
-    console.log(completionMessage);
-    alert(completionMessage);
+    this.updateCueControls();
+    this.cueSettingsModal.classList.add('active');
+    
+    const firstInput = this.cueSettingsModal.querySelector('input');
+    if (firstInput) {
+      setTimeout(() => firstInput.focus(), 100);
+    }
   }
   
   /**
-   * Close modal
+   * Close sound & vibration settings
    */
-  closeModal(modal, index) {
-    modal.classList.remove('active');
+  closeCueSettings() {
+    this.cueSettingsModal?.classList.remove('active');
+  }
+  
+  /**
+   * Allow audio playback (must run inside a user gesture such as pressing Start)
+   */
+  unlockTimerCues() {
+    if (window.TimerCues) {
+      window.TimerCues.unlock();
+    }
+  }
+  
+  /**
+   * Play a timer cue if cues are available
+   */
+  playCue(cue, spokenText = '') {
+    if (window.TimerCues) {
+      window.TimerCues.play(cue, spokenText);
+    }
+  }
+  
+  /**
+   * Record a finished or abandoned timer run in the session log
+   */
+  recordTimerSession(timer, status) {
+    this.recordSession(timer, timer.type, timer.elapsed(), timer.duration, status);
+  }
+  
+  /**
+   * Add a session to the log (once per run, and only if the user actually moved)
+   */
+  recordSession(session, type, durationSeconds, plannedSeconds, status) {
+    if (!window.SessionLog || session.logged || durationSeconds <= 0) return;
+    
+    session.logged = true;
+    window.SessionLog.add({
+      type: type,
+      title: session.title,
+      startedAt: session.startedAt,
+      durationSeconds: durationSeconds,
+      plannedSeconds: plannedSeconds,
+      status: status
+    });
     
-    // Stop any running timers if timer modal is closed
-    if (modal === this.timerModal) {
-      this.timers.forEach(timer => this.pauseTimer(timer));
+    this.updateProgressStats();
+    if (this.activeSection === 'history') {
+      this.renderHistory();
     }
     
-    this.announceToScreenReader('Modal closed');
+    this.trackUserInteraction('session_logged', `${type}: ${session.title} (${status})`);
   }
   
   /**
-   * Open chat widget (Botpress integration)
+   * Fill every [data-stat] element with numbers from the session log
    */
-  openChatWidget() {
-    console.log('💬 Opening chat widget...');
+  updateProgressStats() {
+    if (!window.SessionLog) return;
     
-    // Check if Botpress webchat is loaded
-    if (typeof window.botpress !== 'undefined') {
-      try {
-        // Open the Botpress webchat
-        if (window.botpress.open) {
-          window.botpress.open();
-        }
-        
-        // Ensure the webchat is properly initialized
-        if (window.botpress.init) {
-          window.botpress.init();
-        }
-        
-        this.trackUserInteraction('chat_opened', 'botpress_widget');
-        this.announceToScreenReader('Chat widget opened');
-        
-      } catch (error) {
-        console.warn('Error opening Botpress widget:', error);
-        this.showChatFallback();
-      }
-    } else if (typeof window.botpressWebChat !== 'undefined') {
-      // Try alternative Botpress WebChat method
-      try {
-        window.botpressWebChat.sendEvent({ type: 'show' });
-        this.trackUserInteraction('chat_opened', 'botpress_widget_alt');
-      } catch (error) {
-        console.warn('Error with alternative method:', error);
-        this.showChatFallback();
+    const entries = window.SessionLog.load();
+    const values = {
+      'current-streak': window.SessionLog.currentStreak(entries),
+      'longest-streak': window.SessionLog.longestStreak(entries),
+      'week-minutes': window.SessionLog.minutesThisWeek(entries),
+      'sessions': entries.length
+    };
+    
+    document.querySelectorAll('[data-stat]').forEach(element => {
+      const value = values[element.getAttribute('data-stat')];
+      if (value !== undefined) {
+        element.textContent = value;
       }
-    } else {
-      console.warn('Botpress not found, trying to initialize...');
-      // Wait a bit for Botpress to load and try again
-      setTimeout(() => {
-        if (typeof window.botpress !== 'undefined') {
-          this.openChatWidget();
-        } else {
-          this.showChatFallback();
-        }
-      }, 1000);
-    }
+    });
   }
-
+  
   /**
-   * Start new conversation in chatbot
+   * Render the history view: stats, calendar heatmap and recent sessions
    */
-  startNewConversation() {
-    console.log('🔄 Starting new conversation...');
+  renderHistory() {
+    if (!window.SessionLog || !this.sections.history) return;
     
-    try {
-      // Method 1: Use global chat controls if available
-      if (window.chatControls && window.chatControls.newConversation) {
-        window.chatControls.newConversation();
-        return;
-      }
-      
-      // Method 2: Direct Botpress methods
-      if (typeof window.botpress !== 'undefined') {
-        // Close first
-        if (window.botpress.close) {
-          window.botpress.close();
+    const entries = window.SessionLog.load();
+    this.updateProgressStats();
+    
+    // Calendar heatmap
+    const grid = this.sections.history.querySelector('.history-heatmap__grid');
+    if (grid) {
+      grid.innerHTML = '';
+      window.SessionLog.heatmap(entries).forEach(cell => {
+        const element = document.createElement('span');
+        element.className = 'history-heatmap__cell';
+        element.setAttribute('data-level', cell.level);
+        element.title = `${cell.date}: ${cell.minutes} min`;
+        if (cell.future) {
+          element.classList.add('history-heatmap__cell--future');
         }
+        grid.appendChild(element);
+      });
+    }
+    
+    // Recent sessions, newest first
+    const list = this.sections.history.querySelector('.history-list');
+    const empty = this.sections.history.querySelector('.history-empty');
+    const icons = { workout: '💪', stretch: '🧘', challenge: '⚡' };
+    
+    if (list) {
+      list.innerHTML = '';
+      entries.slice(-10).reverse().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `history-item history-item--${entry.status}`;
         
-        // Wait and reset
-        setTimeout(() => {
-          // Try multiple reset methods
-          let resetSuccess = false;
-          
-          if (window.botpress.sendEvent) {
-            window.botpress.sendEvent({ type: 'reset' });
-            resetSuccess = true;
-          } else if (window.botpress.clear) {
-            window.botpress.clear();
-            resetSuccess = true;
-          } else if (window.botpress.conversationId) {
-            window.botpress.conversationId = null;
-            resetSuccess = true;
-          }
-          
-          // Reopen after reset
-          setTimeout(() => {
-            if (window.botpress.open) {
-              window.botpress.open();
-            }
-            
-            if (resetSuccess) {
-              console.log('✅ New conversation started successfully');
-            } else {
-              console.warn('⚠️ Reset may not have worked, but chat reopened');
-            }
-          }, 300);
-          
-        }, 200);
+        const title = document.createElement('span');
+        title.className = 'history-item__title';
+        title.textContent = `${icons[entry.type] || '🏃'} ${entry.title}`;
         
-        this.trackUserInteraction('chat_new_conversation', 'botpress_reset');
+        const meta = document.createElement('span');
+        meta.className = 'history-item__meta';
+        const when = new Date(entry.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const status = entry.status === 'completed' ? 'Completed' : 'Partial';
+        meta.textContent = `${when} · ${this.formatTime(entry.durationSeconds)} · ${status}`;
         
-      } else if (typeof window.botpressWebChat !== 'undefined') {
-        // Alternative method for WebChat
-        try {
-          window.botpressWebChat.sendEvent({ type: 'hide' });
-          setTimeout(() => {
-            window.botpressWebChat.sendEvent({ type: 'reset' });
-            setTimeout(() => {
-              window.botpressWebChat.sendEvent({ type: 'show' });
-            }, 300);
-          }, 200);
-        } catch (error) {
-          console.warn('Error with WebChat new conversation:', error);
-          this.openChatWidget();
-        }
-      } else {
-        console.warn('Botpress not available for new conversation, opening normally');
-        this.openChatWidget();
+        item.append(title, meta);
+        list.appendChild(item);
+      });
+    }
+    
+    if (empty) {
+      empty.style.display = entries.length ? 'none' : 'block';
+    }
+  }
+  
+  /**
+   * Initialize the custom routine builder and show saved routines
+   */
+  initRoutineBuilder() {
+    this.builderExercises = [];
+    this.renderCustomRoutines();
+    
+    const form = this.routineBuilderForm;
+    if (!this.routineBuilderModal || !form || !window.CustomRoutines) return;
+    
+    document.querySelectorAll('.routine-builder__open').forEach(btn => {
+      btn.addEventListener('click', () => this.openRoutineBuilder());
+    });
+    
+    // Exercise pool
+    const pick = form.querySelector('#routine-exercise-pick');
+    (window.EXERCISE_POOL || []).forEach(exercise => {
+      const option = document.createElement('option');
+      option.value = exercise.id;
+      option.textContent = `${exercise.name} (${this.formatExerciseAmount(exercise.measure, exercise.amount)})`;
+      pick.appendChild(option);
+    });
+    form.querySelector('.routine-builder__add')
+      ?.addEventListener('click', () => this.addBuilderExercise(pick.value));
+    
+    // Per-exercise amount, measure, reorder and remove
+    const list = form.querySelector('.routine-builder__list');
+    list.addEventListener('change', (e) => this.handleBuilderListChange(e));
+    list.addEventListener('click', (e) => this.handleBuilderListClick(e));
+    
+    form.addEventListener('input', () => this.updateBuilderSummary());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveRoutineFromBuilder();
+    });
+    
+    this.routineBuilderModal.querySelector('.routine-builder__close')
+      ?.addEventListener('click', () => this.closeRoutineBuilder());
+    
+    this.routineBuilderModal.addEventListener('click', (e) => {
+      if (e.target === this.routineBuilderModal) {
+        this.closeRoutineBuilder();
       }
-      
-    } catch (error) {
-      console.error('Error starting new conversation:', error);
-      // Fallback: just open the chat
-      this.openChatWidget();
+    });
+  }
+  
+  /**
+   * Open the routine builder, empty or pre-filled with a saved routine to edit
+   */
+  openRoutineBuilder(routine = null) {
+    const form = this.routineBuilderForm;
+    form.reset();
+    form.elements.id.value = routine ? routine.id : '';
+    
+    if (routine) {
+      form.elements.title.value = routine.title;
+      form.elements.rounds.value = routine.rounds;
+      form.elements.rest.value = routine.defaults?.rest ?? 0;
+      form.elements.restBetweenRounds.value = routine.restBetweenRounds || 0;
     }
+    
+    this.builderExercises = routine
+      ? routine.exercises.map(exercise => ({
+        id: exercise.id,
+        name: exercise.name,
+        measure: exercise.reps ? 'reps' : 'seconds',
+        amount: exercise.reps || exercise.work
+      }))
+      : [];
+    
+    this.routineBuilderModal.querySelector('.reminder-modal__title').textContent = routine
+      ? '✏️ Edit Routine'
+      : '🛠️ Build a Routine';
+    
+    this.renderBuilderExercises();
+    this.routineBuilderModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    form.elements.title.focus();
+    
+    this.trackUserInteraction('routine_builder_opened', routine ? routine.id : 'new');
   }
-
+  
   /**
-   * Close chatbot
+   * Close the routine builder
    */
-  closeChatWidget() {
-    console.log('❌ Closing chat widget...');
+  closeRoutineBuilder() {
+    this.routineBuilderModal?.classList.remove('active');
+    document.body.style.overflow = '';
+  }
+  
+  /**
+   * Add an exercise from the pool to the routine being built
+   */
+  addBuilderExercise(exerciseId) {
+    const exercise = (window.EXERCISE_POOL || []).find(item => item.id === exerciseId);
+    if (!exercise) return;
+    
+    this.builderExercises.push({ ...exercise });
+    this.renderBuilderExercises();
+    this.announceToScreenReader(`${exercise.name} added`);
+  }
+  
+  /**
+   * Update an exercise's amount or measure from its row
+   */
+  handleBuilderListChange(e) {
+    const item = e.target.closest('.routine-builder__item');
+    const exercise = item && this.builderExercises[parseInt(item.getAttribute('data-index'))];
+    if (!exercise) return;
+    
+    if (e.target.matches('.routine-builder__amount')) {
+      exercise.amount = parseInt(e.target.value);
+    } else if (e.target.matches('.routine-builder__measure')) {
+      exercise.measure = e.target.value;
+    }
+    this.updateBuilderSummary();
+  }
+  
+  /**
+   * Move an exercise up or remove it
+   */
+  handleBuilderListClick(e) {
+    const button = e.target.closest('.routine-builder__move, .routine-builder__remove');
+    if (!button) return;
+    
+    const index = parseInt(button.closest('.routine-builder__item').getAttribute('data-index'));
+    const [exercise] = this.builderExercises.splice(index, 1);
+    
+    if (button.matches('.routine-builder__move')) {
+      this.builderExercises.splice(Math.max(0, index - 1), 0, exercise);
+    } else {
+      this.announceToScreenReader(`${exercise.name} removed`);
+    }
+    this.renderBuilderExercises();
+  }
+  
+  /**
+   * Draw the exercise rows in the builder
+   */
+  renderBuilderExercises() {
+    const list = this.routineBuilderForm.querySelector('.routine-builder__list');
+    list.innerHTML = '';
+    
+    this.builderExercises.forEach((exercise, index) => {
+      const item = document.createElement('li');
+      item.className = 'routine-builder__item';
+      item.setAttribute('data-index', index);
+      
+      const name = document.createElement('span');
+      name.className = 'routine-builder__name';
+      name.textContent = exercise.name;
+      
+      const amount = document.createElement('input');
+      amount.type = 'number';
+      amount.className = 'form-input routine-builder__amount';
+      amount.min = '1';
+      amount.value = exercise.amount;
+      amount.setAttribute('aria-label', `Amount for ${exercise.name}`);
+      
+      const measure = document.createElement('select');
+      measure.className = 'form-select routine-builder__measure';
+      measure.setAttribute('aria-label', `Reps or seconds for ${exercise.name}`);
+      [['reps', 'reps'], ['seconds', 'sec']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = exercise.measure === value;
+        measure.appendChild(option);
+      });
+      
+      const move = document.createElement('button');
+      move.type = 'button';
+      move.className = 'routine-builder__move';
+      move.textContent = '↑';
+      move.disabled = index === 0;
+      move.setAttribute('aria-label', `Move ${exercise.name} up`);
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'routine-builder__remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${exercise.name}`);
+      
+      item.append(name, amount, measure, move, remove);
+      list.appendChild(item);
+    });
+    
+    this.updateBuilderSummary();
+  }
+  
+  /**
+   * Routine data from the builder form, in the shape CustomRoutines.save() expects
+   */
+  readBuilderForm() {
+    const elements = this.routineBuilderForm.elements;
+    
+    return {
+      id: elements.id.value || undefined,
+      title: elements.title.value,
+      rounds: parseInt(elements.rounds.value),
+      rest: parseInt(elements.rest.value || '0'),
+      restBetweenRounds: parseInt(elements.restBetweenRounds.value || '0'),
+      exercises: this.builderExercises.map(exercise => ({
+        id: exercise.id,
+        name: exercise.name,
+        [exercise.measure === 'reps' ? 'reps' : 'work']: exercise.amount
+      }))
+    };
+  }
+  
+  /**
+   * Show the exercise count and estimated length
+   */
+  updateBuilderSummary() {
+    const summary = this.routineBuilderForm?.querySelector('.routine-builder__summary');
+    if (!summary) return;
+    
+    const input = this.readBuilderForm();
+    if (!input.exercises.length || window.CustomRoutines.validate(input).length) {
+      summary.textContent = '';
+      return;
+    }
+    
+    const seconds = window.CustomRoutines.estimateSeconds(window.CustomRoutines.normalize(input));
+    summary.textContent = `${input.exercises.length} exercises × ${input.rounds} rounds · about ${this.formatTime(seconds)}`;
+  }
+  
+  /**
+   * Validate and save the routine in the builder
+   */
+  saveRoutineFromBuilder() {
+    let routine;
+    try {
+      routine = window.CustomRoutines.save(this.readBuilderForm());
+    } catch (error) {
+      alert(`Please fix the following:\n\n${error.message}`);
+      return;
+    }
+    
+    this.closeRoutineBuilder();
+    this.renderCustomRoutines();
+    this.announceToScreenReader(`Routine ${routine.title} saved`);
+    this.trackUserInteraction('routine_saved', routine.title);
+  }
+  
+  /**
+   * Delete a saved routine after confirming
+   */
+  deleteCustomRoutine(routine) {
+    if (!confirm(`Delete "${routine.title}"? This can't be undone.`)) return;
+    
+    window.CustomRoutines.remove(routine.id);
+    window.WorkoutLevels?.forget(routine.id);
+    this.renderCustomRoutines();
+    this.announceToScreenReader(`Routine ${routine.title} deleted`);
+    this.trackUserInteraction('routine_deleted', routine.title);
+  }
+  
+  /**
+   * Show saved routines as workout cards after the built-in ones
+   */
+  renderCustomRoutines() {
+    const grid = this.sections.workouts?.querySelector('.workout-grid');
+    if (!grid || !window.CustomRoutines) return;
+    
+    grid.querySelectorAll('.workout-card--custom').forEach(card => card.remove());
+    
+    window.CustomRoutines.load().forEach(routine => {
+      const card = this.createRoutineCard(routine);
+      grid.appendChild(card);
+      this.bindCard(card, grid.children.length - 1);
+      this.observer?.observe(card);
+    });
+  }
+  
+  /**
+   * Build a workout card for a saved routine
+   */
+  createRoutineCard(routine) {
+    const minutes = Math.max(1, Math.round(window.CustomRoutines.estimateSeconds(routine) / 60));
+    
+    const card = document.createElement('article');
+    card.className = 'workout-card workout-card--custom';
+    card.setAttribute('data-routine', routine.id);
+    card.setAttribute('data-duration', minutes);
+    card.setAttribute('tabindex', '0');
+    card.setAttribute('aria-label', `${routine.title} - Click to interact`);
+    
+    const header = document.createElement('div');
+    header.className = 'workout-card__header';
+    const title = document.createElement('h3');
+    title.className = 'workout-card__title';
+    title.textContent = routine.title;
+    const duration = document.createElement('span');
+    duration.className = 'workout-card__duration';
+    duration.textContent = `~${minutes} min`;
+    header.append(title, duration);
+    
+    const list = document.createElement('ul');
+    list.className = 'workout-card__routine';
+    const intro = document.createElement('li');
+    const introText = document.createElement('strong');
+    introText.textContent = routine.rounds > 1 ? `Do this ${routine.rounds} rounds:` : 'Do this once:';
+    intro.appendChild(introText);
+    list.appendChild(intro);
+    routine.exercises.forEach(exercise => {
+      const item = document.createElement('li');
+      const text = this.describeExercise(exercise);
+      const entry = window.ExerciseLibrary?.forExercise(exercise);
+      if (entry) {
+        const link = document.createElement('a');
+        link.className = 'exercise-link';
+        link.href = `#${this.pathFor('exercises', entry.id)}`;
+        link.textContent = exercise.name;
+        item.append(link, text.slice(exercise.name.length));
+      } else {
+        item.textContent = text;
+      }
+      list.appendChild(item);
+    });
+    
+    const start = document.createElement('button');
+    start.className = 'workout-card__start';
+    start.innerHTML = '<span class="button-text">Start Workout</span><span class="button-loader" aria-hidden="true"></span>';
+    
+    const manage = document.createElement('div');
+    manage.className = 'workout-card__manage';
+    [['workout-card__edit', '✏️ Edit', () => this.openRoutineBuilder(routine)],
+     ['workout-card__share', '🔗 Share', (button) => this.shareRoutine(routine, button)],
+     ['workout-card__export', '⬇️ Export', () => this.exportRoutine(routine)],
+     ['workout-card__delete', '🗑️ Delete', () => this.deleteCustomRoutine(routine)]].forEach(([className, label, action]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.setAttribute('aria-label', `${label.slice(3)} ${routine.title}`);
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        action(button);
+      });
+      manage.appendChild(button);
+    });
+    
+    const level = this.createLevelPicker(routine);
+    card.append(header, list, ...(level ? [level] : []), start, manage);
+    return card;
+  }
+  
+  /**
+   * Add a difficulty level picker to each built-in workout card (saved routine cards get theirs
+   * from createRoutineCard)
+   */
+  initWorkoutLevels() {
+    if (!window.WorkoutLevels) return;
+    
+    document.querySelectorAll('.workout-card[data-routine]:not(.workout-card--custom)').forEach(card => {
+      const routine = this.getCardRoutine(card);
+      const picker = routine && this.createLevelPicker(routine);
+      if (picker) {
+        card.insertBefore(picker, card.querySelector('.workout-card__start'));
+      }
+    });
+  }
+  
+  /**
+   * Beginner / Intermediate / Advanced select for a workout card, saved per routine
+   */
+  createLevelPicker(routine) {
+    if (!window.WorkoutLevels) return null;
+    
+    const wrapper = document.createElement('div');
+    wrapper.className = 'workout-card__level';
+    
+    const id = `workout-level-${routine.id}`;
+    const label = document.createElement('label');
+    label.className = 'workout-card__level-label';
+    label.htmlFor = id;
+    label.textContent = 'Level';
+    
+    const select = document.createElement('select');
+    select.id = id;
+    select.className = 'workout-card__level-select form-select';
+    Object.entries(window.WorkoutLevels.levels).forEach(([value, level]) => {
+      select.appendChild(new Option(level.label, value));
+    });
+    select.value = window.WorkoutLevels.get(routine.id);
+    
+    const note = document.createElement('p');
+    note.className = 'workout-card__level-note';
+    
+    // Choosing a level mustn't start the workout
+    wrapper.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => {
+      window.WorkoutLevels.set(routine.id, select.value);
+      this.describeLevel(routine, note);
+      this.announceToScreenReader(`${routine.title} set to ${window.WorkoutLevels.levels[select.value].label}`);
+      this.trackUserInteraction('workout_level_changed', `${routine.id}_${select.value}`);
+    });
+    
+    wrapper.append(label, select, note);
+    this.describeLevel(routine, note);
+    return wrapper;
+  }
+  
+  /**
+   * "2 rounds · Easier moves, fewer reps, more rest · ~4 min" for the routine's chosen level
+   */
+  describeLevel(routine, note) {
+    const leveled = this.getLeveledRoutine(routine);
+    const level = window.WorkoutLevels.levels[leveled.level];
+    const parts = [leveled.rounds > 1 ? `${leveled.rounds} rounds` : '1 round', level.description];
+    if (window.CustomRoutines) {
+      parts.push(`~${Math.max(1, Math.round(window.CustomRoutines.estimateSeconds(leveled) / 60))} min`);
+    }
+    note.textContent = parts.join(' · ');
+  }
+  
+  /**
+   * Show the saved level on every picker again (after an import or reset)
+   */
+  updateLevelPickers() {
+    if (!window.WorkoutLevels) return;
+    
+    document.querySelectorAll('.workout-card[data-routine]').forEach(card => {
+      const routine = this.getCardRoutine(card);
+      const select = card.querySelector('.workout-card__level-select');
+      if (!routine || !select) return;
+      
+      select.value = window.WorkoutLevels.get(routine.id);
+      this.describeLevel(routine, card.querySelector('.workout-card__level-note'));
+    });
+  }
+  
+  /**
+   * "10 reps" or "30s"
+   */
+  formatExerciseAmount(measure, amount) {
+    return measure === 'reps' ? `${amount} reps` : `${amount}s`;
+  }
+  
+  /**
+   * "Squats — 12 reps", "Plank — 20s" or "Squats — 12 reps in 45s"
+   */
+  describeExercise(exercise) {
+    if (exercise.reps && exercise.work) {
+      return `${exercise.name} — ${this.formatExerciseAmount('reps', exercise.reps)} in ${exercise.work}s`;
+    }
+    return `${exercise.name} — ${this.formatExerciseAmount(exercise.reps ? 'reps' : 'seconds', exercise.reps || exercise.work)}`;
+  }
+  
+  /**
+   * Initialize routine sharing: share/export buttons, file import and the shared link preview
+   */
+  initRoutineSharing() {
+    if (!window.RoutineShare) return;
+    
+    // Built-in cards (saved routine cards wire their own buttons)
+    document.querySelectorAll('.workout-card:not(.workout-card--custom)').forEach(card => {
+      const routine = this.getCardRoutine(card);
+      if (!routine) return;
+      
+      card.querySelector('.workout-card__share')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.shareRoutine(routine, e.currentTarget);
+      });
+      card.querySelector('.workout-card__export')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.exportRoutine(routine);
+      });
+    });
+    
+    // Import from a file
+    const fileInput = document.querySelector('.routine-import__file');
+    document.querySelectorAll('.routine-import__open').forEach(btn => {
+      btn.addEventListener('click', () => fileInput?.click());
+    });
+    fileInput?.addEventListener('change', () => {
+      if (fileInput.files.length) {
+        this.importRoutineFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    
+    // Preview actions
+    const modal = this.routinePreviewModal;
+    if (modal) {
+      modal.querySelector('.routine-preview__close')?.addEventListener('click', () => this.closeRoutinePreview());
+      modal.querySelector('.routine-preview__add')?.addEventListener('click', () => this.addPreviewRoutine());
+      modal.querySelector('.routine-preview__start')?.addEventListener('click', () => this.startPreviewRoutine());
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          this.closeRoutinePreview();
+        }
+      });
+    }
+    
+    // A link pasted into an already open tab only changes the hash
+    window.addEventListener('hashchange', () => this.openSharedRoutineLink());
+  }
+  
+  /**
+   * Copy a routine's share link, falling back to a prompt the link can be copied from
+   */
+  shareRoutine(routine, button = null) {
+    const link = window.RoutineShare.linkFor(routine);
+    
+    const copied = () => {
+      this.announceToScreenReader('Routine link copied');
+      if (button) {
+        const label = button.textContent;
+        button.textContent = '✅ Link copied';
+        setTimeout(() => {
+          button.textContent = label;
+        }, 2000);
+      }
+    };
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(link)
+        .then(copied)
+        .catch(() => prompt('Copy this link to share the routine:', link));
+    } else {
+      prompt('Copy this link to share the routine:', link);
+    }
+    
+    this.trackUserInteraction('routine_shared', routine.title);
+  }
+  
+  /**
+   * Download a routine as a JSON file
+   */
+  exportRoutine(routine) {
+    const blob = new Blob([window.RoutineShare.toJSON(routine)], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = window.RoutineShare.fileName(routine);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+    
+    this.trackUserInteraction('routine_exported', routine.title);
+  }
+  
+  /**
+   * Read an exported routine file and preview it
+   */
+  async importRoutineFile(file) {
+    try {
+      const routine = window.RoutineShare.parseJSON(await file.text());
+      this.showRoutinePreview(routine, { title: '📥 Import Routine' });
+    } catch (error) {
+      this.showRoutinePreview(null, {
+        title: '📥 Import Routine',
+        error: `We couldn't import "${file.name}":`,
+        details: error.message
+      });
+    }
+  }
+  
+  /**
+   * Preview the routine in a #routine= link, then clear the link so a reload doesn't reopen it
+   */
+  openSharedRoutineLink() {
+    const payload = window.RoutineShare?.payloadFromHash(window.location.hash);
+    if (!payload) return;
+    
+    window.history.replaceState(null, document.title, window.location.pathname + window.location.search);
+    
+    try {
+      this.showRoutinePreview(window.RoutineShare.decode(payload), { title: '📋 Shared Routine' });
+      this.trackUserInteraction('shared_routine_opened', 'link');
+    } catch (error) {
+      this.showRoutinePreview(null, {
+        title: '📋 Shared Routine',
+        error: "We couldn't open this shared routine:",
+        details: error.message
+      });
+    }
+  }
+  
+  /**
+   * Show a routine (or the reasons it couldn't be read) in the preview card
+   * @param {Object|null} input - Validated builder input from RoutineShare
+   * @param {Object} options - { title, error?, details? }
+   */
+  showRoutinePreview(input, { title, error = null, details = '' }) {
+    const modal = this.routinePreviewModal;
+    if (!modal) return;
+    
+    this.previewRoutine = input;
+    modal.querySelector('.reminder-modal__title').textContent = title;
+    
+    const card = modal.querySelector('.routine-preview__card');
+    const errors = modal.querySelector('.routine-preview__errors');
+    card.hidden = !input;
+    errors.hidden = !error;
+    modal.querySelectorAll('.routine-preview__add, .routine-preview__start').forEach(btn => {
+      btn.hidden = !input;
+    });
+    
+    if (input) {
+      const routine = window.CustomRoutines.normalize(input);
+      const minutes = Math.max(1, Math.round(window.CustomRoutines.estimateSeconds(routine) / 60));
+      modal.querySelector('.routine-preview__name').textContent = routine.title;
+      modal.querySelector('.routine-preview__duration').textContent = `~${minutes} min`;
+      
+      const list = modal.querySelector('.routine-preview__list');
+      list.innerHTML = '';
+      const intro = document.createElement('li');
+      const introText = document.createElement('strong');
+      introText.textContent = routine.rounds > 1 ? `Do this ${routine.rounds} rounds:` : 'Do this once:';
+      intro.appendChild(introText);
+      list.appendChild(intro);
+      routine.exercises.forEach(exercise => {
+        const item = document.createElement('li');
+        item.textContent = this.describeExercise(exercise);
+        list.appendChild(item);
+      });
+    } else {
+      modal.querySelector('.routine-preview__errors-intro').textContent = error;
+      const list = modal.querySelector('.routine-preview__error-list');
+      list.innerHTML = '';
+      details.split('\n').forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+      });
+    }
+    
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    modal.querySelector(input ? '.routine-preview__add' : '.routine-preview__close')?.focus();
+  }
+  
+  /**
+   * Close the routine preview
+   */
+  closeRoutinePreview() {
+    this.previewRoutine = null;
+    this.routinePreviewModal?.classList.remove('active');
+    document.body.style.overflow = '';
+  }
+  
+  /**
+   * Save the previewed routine as a custom routine
+   */
+  addPreviewRoutine() {
+    if (!this.previewRoutine) return;
+    
+    let routine;
+    try {
+      routine = window.CustomRoutines.save(this.previewRoutine);
+    } catch (error) {
+      alert(`This routine couldn't be saved:\n\n${error.message}`);
+      return;
+    }
+    
+    this.closeRoutinePreview();
+    this.renderCustomRoutines();
+    this.navigate(this.pathFor('workouts', routine.id));
+    this.announceToScreenReader(`Routine ${routine.title} added to your routines`);
+    this.trackUserInteraction('shared_routine_added', routine.title);
+  }
+  
+  /**
+   * Run the previewed routine straight away without saving it
+   */
+  startPreviewRoutine() {
+    if (!this.previewRoutine) return;
+    
+    const routine = window.CustomRoutines.normalize(this.previewRoutine);
+    const steps = window.WorkoutSteps.build(routine);
+    
+    this.closeRoutinePreview();
+    this.startTimer(window.WorkoutSteps.total(steps), routine.title, steps);
+    this.trackUserInteraction('shared_routine_started', routine.title);
+  }
+  
+  /**
+   * Close modal
+   */
+  closeModal(modal, index) {
+    modal.classList.remove('active');
+    if (modal.classList.contains('reminder-modal')) {
+      document.body.style.overflow = '';
+    }
+    
+    // A timer modal hands its session over to the mini-timer
+    const timerName = modal.getAttribute('data-timer');
+    if (timerName) {
+      this.closeTimer(timerName);
+    }
+    
+    this.announceToScreenReader('Modal closed');
+  }
+  
+  /**
+   * Open chat widget (Botpress integration)
+   */
+  openChatWidget() {
+    console.log('💬 Opening chat widget...');
+    
+    // Chat is the one feature that needs a connection
+    if (typeof window.botpress === 'undefined' && this.isOffline()) {
+      this.showChatFallback();
+      return;
+    }
+    
+    // Check if Botpress webchat is loaded
+    if (typeof window.botpress !== 'undefined') {
+      try {
+        // Open the Botpress webchat
+        if (window.botpress.open) {
+          window.botpress.open();
+        }
+        
+        // Ensure the webchat is properly initialized
+        if (window.botpress.init) {
+          window.botpress.init();
+        }
+        
+        this.trackUserInteraction('chat_opened', 'botpress_widget');
+        this.announceToScreenReader('Chat widget opened');
+        
+      } catch (error) {
+        console.warn('Error opening Botpress widget:', error);
+        this.showChatFallback();
+      }
+    } else if (typeof window.botpressWebChat !== 'undefined') {
+      // Try alternative Botpress WebChat method
+      try {
+        window.botpressWebChat.sendEvent({ type: 'show' });
+        this.trackUserInteraction('chat_opened', 'botpress_widget_alt');
+      } catch (error) {
+        console.warn('Error with alternative method:', error);
+        this.showChatFallback();
+      }
+    } else {
+      console.warn('Botpress not found, trying to initialize...');
+      // Wait a bit for Botpress to load and try again
+      setTimeout(() => {
+        if (typeof window.botpress !== 'undefined') {
+          this.openChatWidget();
+        } else {
+          this.showChatFallback();
+        }
+      }, 1000);
+    }
+  }
+
+  /**
+   * Start new conversation in chatbot
+   */
+  startNewConversation() {
+    console.log('🔄 Starting new conversation...');
+    
+    try {
+      // Method 1: Use global chat controls if available
+      if (window.chatControls && window.chatControls.newConversation) {
+        window.chatControls.newConversation();
+        return;
+      }
+      
+      // Method 2: Direct Botpress methods
+      if (typeof window.botpress !== 'undefined') {
+        // Close first
+        if (window.botpress.close) {
+          window.botpress.close();
+        }
+        
+        // Wait and reset
+        setTimeout(() => {
+          // Try multiple reset methods
+          let resetSuccess = false;
+          
+          if (window.botpress.sendEvent) {
+            window.botpress.sendEvent({ type: 'reset' });
+            resetSuccess = true;
+          } else if (window.botpress.clear) {
+            window.botpress.clear();
+            resetSuccess = true;
+          } else if (window.botpress.conversationId) {
+            window.botpress.conversationId = null;
+            resetSuccess = true;
+          }
+          
+          // Reopen after reset
+          setTimeout(() => {
+            if (window.botpress.open) {
+              window.botpress.open();
+            }
+            
+            if (resetSuccess) {
+              console.log('✅ New conversation started successfully');
+            } else {
+              console.warn('⚠️ Reset may not have worked, but chat reopened');
+            }
+          }, 300);
+          
+        }, 200);
+        
+        this.trackUserInteraction('chat_new_conversation', 'botpress_reset');
+        
+      } else if (typeof window.botpressWebChat !== 'undefined') {
+        // Alternative method for WebChat
+        try {
+          window.botpressWebChat.sendEvent({ type: 'hide' });
+          setTimeout(() => {
+            window.botpressWebChat.sendEvent({ type: 'reset' });
+            setTimeout(() => {
+              window.botpressWebChat.sendEvent({ type: 'show' });
+            }, 300);
+          }, 200);
+        } catch (error) {
+          console.warn('Error with WebChat new conversation:', error);
+          this.openChatWidget();
+        }
+      } else {
+        console.warn('Botpress not available for new conversation, opening normally');
+        this.openChatWidget();
+      }
+      
+    } catch (error) {
+      console.error('Error starting new conversation:', error);
+      // Fallback: just open the chat
+      this.openChatWidget();
+    }
+  }
+
+  /**
+   * Close chatbot
+   */
+  closeChatWidget() {
+    console.log('❌ Closing chat widget...');
+    
+    if (typeof window.botpress !== 'undefined') {
+      try {
+        if (window.botpress.close) {
+          window.botpress.close();
+        } else if (window.botpress.hide) {
+          window.botpress.hide();
+        }
+        
+        this.trackUserInteraction('chat_closed', 'botpress_widget');
+        
+      } catch (error) {
+        console.warn('Error closing Botpress widget:', error);
+      }
+    } else if (typeof window.botpressWebChat !== 'undefined') {
+      try {
+        window.botpressWebChat.sendEvent({ type: 'hide' });
+      } catch (error) {
+        console.warn('Error hiding chat with alternative method:', error);
+      }
+    }
+  }
+  
+  /**
+   * Fallback chat option when Botpress isn't available
+   */
+  showChatFallback() {
+    if (this.isOffline()) {
+      alert(`📴 You're offline\n\n` +
+        `Chat with Coach needs an internet connection and will be back once you reconnect.\n\n` +
+        `Workouts, stretches, tips and timers all keep working offline.`);
+      return;
+    }
+    
+    const fallbackMessage = `🤖 Chat with MoveSmart AI\n\n` +
+      `Hey! I'm your fitness coach. I can help with:\n\n` +
+      `💪 Quick workouts (5-15 min)\n` +
+      `🧘 Stretch routines\n` +
+      `🚶 Daily movement tips\n` +
+      `❓ Exercise questions\n\n` +
+      `The chat widget should appear automatically. If you don't see it, please refresh the page!`;
+    
+    alert(fallbackMessage);
+  }
+  
+  /**
+   * Handle keyboard navigation
+   */
+  handleKeyNavigation(e) {
+    // ESC to close modals
+    if (e.key === 'Escape') {
+      this.modals.forEach(modal => {
+        if (modal.classList.contains('active')) {
+          this.closeModal(modal, 0);
+        }
+      });
+    }
+    
+    // Number keys jump to the top-level views, in nav order (only the view links: not the theme toggle)
+    if (e.key >= '1' && e.key <= '9' && !e.target.matches('input, textarea, select')) {
+      const link = document.querySelectorAll('.nav__link[href^="#/"]')[parseInt(e.key) - 1];
+      if (link) {
+        this.navigate(link.getAttribute('href').slice(1));
+      }
+    }
+  }
+  
+  /**
+   * Initialize intersection observer for animations
+   */
+  initIntersectionObserver() {
+    if ('IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('fade-in');
+          }
+        });
+      }, {
+        threshold: 0.1,
+        rootMargin: '20px'
+      });
+      
+      // Observe cards and sections
+      this.cards.forEach(card => this.observer.observe(card));
+    }
+  }
+  
+  /**
+   * Initialize accessibility features
+   */
+  initAccessibilityFeatures() {
+    // Add ARIA labels dynamically
+    this.cards.forEach((card, index) => {
+      if (!card.getAttribute('aria-label')) {
+        const title = card.querySelector('h3, .feature-card__title');
+        if (title) {
+          card.setAttribute('aria-label', `${title.textContent} - Click to interact`);
+        }
+      }
+      
+      // Make cards focusable
+      if (!card.hasAttribute('tabindex')) {
+        card.setAttribute('tabindex', '0');
+      }
+    });
+    
+    // Enhanced focus management for modals
+    this.modals.forEach(modal => {
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') {
+          this.trapFocus(e, modal);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Trap focus within modal
+   */
+  trapFocus(e, modal) {
+    const focusableElements = modal.querySelectorAll(
+      'a[href], button:not([disabled]), textarea:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
+    );
+    
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+    
+    if (e.shiftKey && document.activeElement === firstElement) {
+      e.preventDefault();
+      lastElement.focus();
+    } else if (!e.shiftKey && document.activeElement === lastElement) {
+      e.preventDefault();
+      firstElement.focus();
+    }
+  }
+  
+  /**
+   * Announce to screen reader
+   */
+  announceToScreenReader(message) {
+    let announcement = document.getElementById('sr-announcement');
+    if (!announcement) {
+      announcement = document.createElement('div');
+      announcement.id = 'sr-announcement';
+      announcement.className = 'sr-only';
+      announcement.setAttribute('aria-live', 'polite');
+      document.body.appendChild(announcement);
+    }
+    
+    announcement.textContent = message;
+    
+    // Clear after announcement
+    setTimeout(() => {
+      announcement.textContent = '';
+    }, 1000);
+  }
+  
+  /**
+   * Track user interactions for analytics
+   */
+  trackUserInteraction(action, details = '') {
+    const data = {
+      action,
+      details,
+      timestamp: new Date().toISOString(),
+      section: this.activeSection,
+      userAgent: navigator.userAgent,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight
+      }
+    };
+    
+    console.log('📊 User interaction:', data);
+    
+    // Here you could send to analytics service
+    // Example: gtag('event', action, { custom_parameter: details });
+  }
+  
+  /**
+   * Handle errors gracefully
+   */
+  handleError(context, error) {
+    console.error(`❌ Error in ${context}:`, error);
+    
+    // Show user-friendly error message
+    this.announceToScreenReader('An error occurred. Please try refreshing the page.');
+    
+    // Track error for debugging
+    this.trackUserInteraction('error', `${context}: ${error.message}`);
+  }
+  
+  /**
+   * Initialize Calendar Reminder functionality
+   */
+  initCalendarReminder() {
+    // Cache elements
+    this.reminderBtn = document.getElementById('set-reminder-btn');
+    this.reminderModal = document.getElementById('calendar-reminder-modal');
+    this.reminderForm = document.getElementById('reminder-form');
+    this.reminderCloseBtn = this.reminderModal?.querySelector('.reminder-modal__close');
+    this.reminderSuccess = document.getElementById('reminder-success');
+    this.downloadOutlookBtn = document.getElementById('download-outlook');
+
+    if (!this.reminderBtn || !this.reminderModal) return;
+
+    // Event listeners
+    this.reminderBtn.addEventListener('click', () => this.openReminderModal());
+    this.reminderCloseBtn?.addEventListener('click', () => this.closeReminderModal());
+    this.reminderForm.addEventListener('submit', (e) => this.handleReminderSubmit(e));
+
+    // Close modal on outside click
+    this.reminderModal.addEventListener('click', (e) => {
+      if (e.target === this.reminderModal) {
+        this.closeReminderModal();
+      }
+    });
+
+    // Close modal on Escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.reminderModal.classList.contains('active')) {
+        this.closeReminderModal();
+      }
+    });
+
+    // Load saved preferences
+    this.loadReminderPreferences();
+    
+    this.initReminderRepeat();
+    this.initReminderTimeZone();
+    this.initMyReminders();
+    
+    console.log('📅 Calendar reminder initialized');
+  }
+
+  /**
+   * Initialize the repeat options in the reminder form (weekdays, end, skipped dates)
+   */
+  initReminderRepeat() {
+    this.reminderExceptions = [];
+    const { elements } = this.reminderForm;
+    
+    elements.repeat.addEventListener('change', () => this.updateReminderRepeat());
+    elements.repeatEnds.addEventListener('change', () => this.updateReminderRepeat());
+    elements.date.addEventListener('change', () => this.updateReminderRepeat());
+    this.reminderForm.querySelector('.reminder-repeat__skip-add').addEventListener('click', () => {
+      const input = document.getElementById('reminder-skip-date');
+      if (input.value && !this.reminderExceptions.includes(input.value)) {
+        this.reminderExceptions = [...this.reminderExceptions, input.value].sort();
+        this.renderReminderExceptions();
+      }
+      input.value = '';
+    });
+  }
+
+  /**
+   * Fill the time zone picker; reminders keep their wall-clock time in the chosen zone
+   */
+  initReminderTimeZone() {
+    const select = this.reminderForm.elements.timeZone;
+    select.replaceChildren(...window.TimeZones.list().map(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      option.textContent = zone.replace(/_/g, ' ');
+      return option;
+    }));
+    select.value = window.TimeZones.current();
+  }
+  
+  /**
+   * Show only the repeat options that apply to the chosen repeat and end
+   */
+  updateReminderRepeat() {
+    const { elements } = this.reminderForm;
+    const repeat = elements.repeat.value;
+    const ends = elements.repeatEnds.value;
+    const days = Array.from(this.reminderForm.querySelectorAll('input[name="repeatDays"]'));
+    
+    // A weekly reminder repeats on its own weekday until the user picks others
+    if (repeat === 'weekly' && !days.some(input => input.checked) && elements.date.value) {
+      const weekday = String(window.Recurrence.parseDate(elements.date.value).getDay());
+      days.forEach(input => {
+        input.checked = input.value === weekday;
+      });
+    }
+    
+    this.reminderForm.querySelector('.reminder-repeat').hidden = repeat === 'none';
+    this.reminderForm.querySelector('.reminder-repeat__days').hidden = repeat !== 'weekly';
+    this.reminderForm.querySelector('.reminder-repeat__until').hidden = ends !== 'until';
+    this.reminderForm.querySelector('.reminder-repeat__count').hidden = ends !== 'count';
+  }
+
+  /**
+   * List the skipped dates with a button to un-skip each
+   */
+  renderReminderExceptions() {
+    const list = this.reminderForm.querySelector('.reminder-repeat__exceptions');
+    list.replaceChildren(...this.reminderExceptions.map(date => {
+      const item = document.createElement('li');
+      const label = window.Recurrence.parseDate(date).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+      item.textContent = label;
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Don't skip ${label}`);
+      remove.addEventListener('click', () => {
+        this.reminderExceptions = this.reminderExceptions.filter(existing => existing !== date);
+        this.renderReminderExceptions();
+      });
+      item.appendChild(remove);
+      return item;
+    }));
+  }
+
+  /**
+   * Initialize the "My reminders" panel
+   */
+  initMyReminders() {
+    this.myRemindersBtn = document.getElementById('my-reminders-btn');
+    this.myRemindersModal = document.getElementById('my-reminders-modal');
+    if (!window.ScheduledReminders || !this.myRemindersBtn || !this.myRemindersModal) return;
+
+    this.myRemindersBtn.addEventListener('click', () => this.openMyReminders());
+    this.myRemindersModal.querySelector('.my-reminders__close')?.addEventListener('click', () => this.closeModal(this.myRemindersModal, 0));
+    this.myRemindersModal.querySelector('.my-reminders__export')?.addEventListener('click', () => this.downloadAllRemindersICS());
+    this.myRemindersModal.querySelector('.my-reminders__new')?.addEventListener('click', () => {
+      this.closeModal(this.myRemindersModal, 0);
+      this.openReminderModal();
+    });
+    this.reminderSuccess?.querySelector('.reminder-success__manage')?.addEventListener('click', () => {
+      this.closeReminderModal();
+      this.openMyReminders();
+    });
+  }
+
+  /**
+   * Header theme toggle (light → dark → system) and everything that follows the theme
+   */
+  initTheme() {
+    if (!window.ThemeManager) return;
+    
+    this.themeToggle = document.querySelector('.theme-toggle');
+    this.themeToggle?.addEventListener('click', () => {
+      const { mode } = window.ThemeManager.cycle();
+      this.announceToScreenReader(`${window.ThemeManager.labels[mode]} theme`);
+      this.trackUserInteraction('theme_changed', mode);
+    });
+    
+    window.addEventListener(window.ThemeManager.eventName, (event) => this.handleThemeChange(event.detail));
+    this.handleThemeChange(window.ThemeManager.init());
+  }
+  
+  /**
+   * Update the toggle and the chat widget for a new theme
+   */
+  handleThemeChange({ mode, theme }) {
+    if (this.themeToggle) {
+      const { labels, icons } = window.ThemeManager;
+      const next = window.ThemeManager.nextMode(mode);
+      this.themeToggle.querySelector('.theme-toggle__icon').textContent = icons[mode];
+      this.themeToggle.setAttribute('aria-label', `Theme: ${labels[mode]}. Switch to ${labels[next].toLowerCase()}`);
+      this.themeToggle.title = `Theme: ${labels[mode]}`;
+    }
+    if (this.settingsForm) {
+      this.settingsForm.elements.theme.value = mode;
+    }
+    this.applyBotpressTheme(theme);
+  }
+  
+  /**
+   * Botpress draws its own widget, so it's told about the theme separately
+   */
+  applyBotpressTheme(theme) {
+    if (typeof window.botpress === 'undefined' || typeof window.botpress.config !== 'function') return;
+    
+    try {
+      const color = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+      window.botpress.config({ configuration: { themeMode: theme, color } });
+    } catch (error) {
+      console.warn('Could not update the chat theme:', error);
+    }
+  }
+  
+  /**
+   * Initialize Botpress Chat Integration
+   */
+  initBotpressChat() {
+    console.log('💬 Initializing Botpress chat...');
+    
+    // Wait for Botpress to be fully loaded
+    const initBotpress = () => {
+      if (typeof window.botpress !== 'undefined') {
+        console.log('✅ Botpress loaded successfully');
+        
+        // Set up event listeners for Botpress events
+        try {
+          // Listen for chat events
+          if (window.botpress.on) {
+            window.botpress.on('webchat:opened', () => {
+              console.log('📬 Chat opened');
+              this.trackUserInteraction('chat_opened', 'user_action');
+            });
+            
+            window.botpress.on('webchat:closed', () => {
+              console.log('📭 Chat closed');
+              this.trackUserInteraction('chat_closed', 'user_action');
+            });
+            
+            window.botpress.on('message', (event) => {
+              console.log('💬 New message:', event);
+              this.trackUserInteraction('chat_message', 'user_sent');
+            });
+          }
+          
+          // Match the site's light or dark theme
+          this.applyBotpressTheme(window.ThemeManager?.theme || 'light');
+          
+          // Expose global chat functions for easy access
+          window.moveSmartAI = {
+            openChat: () => this.openChatWidget(),
+            newConversation: () => this.startNewConversation(),
+            closeChat: () => this.closeChatWidget()
+          };
+          
+        } catch (error) {
+          console.warn('Error setting up Botpress event listeners:', error);
+        }
+        
+      } else if (this.isOffline()) {
+        console.log('📴 Offline - chat setup will continue when the connection is back');
+        window.addEventListener('online', initBotpress, { once: true });
+      } else {
+        console.warn('⚠️ Botpress not yet loaded, retrying...');
+        setTimeout(initBotpress, 500);
+      }
+    };
+    
+    // Start initialization with a small delay to ensure DOM is ready
+    setTimeout(initBotpress, 100);
+  }
+  
+  /**
+   * Whether the browser knows it has no network connection
+   */
+  isOffline() {
+    return navigator.onLine === false;
+  }
+  
+  /**
+   * Register the service worker for offline use and prompt when a new version is ready
+   */
+  initServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+      console.log('📴 Service worker not available, offline mode is off');
+      return;
+    }
+    
+    this.updateBanner?.querySelector('.update-banner__reload')?.addEventListener('click', () => this.applyUpdate());
+    this.updateBanner?.querySelector('.update-banner__dismiss')?.addEventListener('click', () => {
+      this.updateBanner.hidden = true;
+    });
+    
+    // Reload once the accepted update takes over (not when the first install does)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.updateAccepted) {
+        this.updateAccepted = false;
+        window.location.reload();
+      }
+    });
+    
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      console.log('✅ Service worker registered, app works offline');
+      
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.showUpdatePrompt(registration.waiting);
+      }
+      
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(worker);
+          }
+        });
+      });
+    }).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+    
+    window.addEventListener('online', () => this.announceToScreenReader('Back online'));
+    window.addEventListener('offline', () => {
+      this.announceToScreenReader('You are offline. Workouts, stretches and timers still work.');
+    });
+  }
+  
+  /**
+   * Offer to switch to a newly installed version
+   */
+  showUpdatePrompt(worker) {
+    this.waitingWorker = worker;
+    if (this.updateBanner) {
+      this.updateBanner.hidden = false;
+    }
+    this.trackUserInteraction('update_available', 'service_worker');
+  }
+  
+  /**
+   * Activate the waiting version; the page reloads when it takes over
+   */
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    
+    // Sessions in progress are offered back after the reload
+    this.saveActiveTimers();
+    this.updateAccepted = true;
+    this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    this.updateBanner.hidden = true;
+  }
+  
+  /**
+   * Settings view: theme, sound, reminder lead time, units and break interval, saved as they change
+   */
+  initSettings() {
+    if (!this.settingsForm || !window.UserSettings) return;
+    
+    this.settingsForm.addEventListener('submit', (e) => e.preventDefault());
+    this.settingsForm.addEventListener('change', (e) => this.saveSettings(e.target));
+    this.settingsForm.querySelector('.settings-panel__cues')?.addEventListener('click', () => this.openCueSettings());
+    this.settingsForm.querySelector('.settings-panel__breaks')?.addEventListener('click', () => this.openMovementBreaks());
+    
+    this.fillSettingsForm();
+  }
+  
+  /**
+   * Show the current settings, which other screens may have changed since
+   */
+  fillSettingsForm() {
+    if (!this.settingsForm) return;
+    
+    const { elements } = this.settingsForm;
+    const settings = window.UserSettings.load();
+    
+    elements.theme.value = window.ThemeManager ? window.ThemeManager.mode : settings.theme;
+    elements.reminderMinutes.value = String(settings.reminderMinutes);
+    elements.units.value = settings.units;
+    
+    const cues = window.TimerCues?.prefs;
+    elements.sound.checked = Boolean(cues && !cues.muted);
+    elements.sound.disabled = !cues;
+    elements.volume.value = cues ? Math.round(cues.volume * 100) : 0;
+    elements.volume.disabled = !cues;
+    
+    const breaks = window.MovementBreaks?.settings;
+    elements.breakInterval.value = breaks ? String(breaks.interval) : '';
+    elements.breakInterval.disabled = !breaks;
+    
+    this.settingsForm.querySelector('.settings-panel__error').hidden = true;
+  }
+  
+  /**
+   * Save the setting that changed through whichever module owns it
+   */
+  saveSettings(changed) {
+    const { elements } = this.settingsForm;
+    const error = this.settingsForm.querySelector('.settings-panel__error');
+    const status = this.settingsForm.querySelector('.settings-panel__status');
+    
+    try {
+      switch (changed.name) {
+        case 'theme':
+          window.ThemeManager.set(elements.theme.value);
+          break;
+        case 'sound':
+        case 'volume':
+          window.TimerCues.savePrefs({ muted: !elements.sound.checked, volume: parseInt(elements.volume.value) / 100 });
+          this.updateCueControls();
+          break;
+        case 'reminderMinutes':
+          window.UserSettings.save({ reminderMinutes: parseInt(elements.reminderMinutes.value) });
+          break;
+        case 'units':
+          window.UserSettings.save({ units: elements.units.value });
+          break;
+        case 'breakInterval':
+          window.MovementBreaks.save({ interval: parseInt(elements.breakInterval.value) });
+          this.fillMovementBreaksForm();
+          break;
+        default:
+          return;
+      }
+      
+      error.hidden = true;
+      status.textContent = '✅ Saved';
+      this.trackUserInteraction('setting_changed', changed.name);
+    } catch (e) {
+      // Put back what's actually saved
+      this.fillSettingsForm();
+      error.textContent = e.message;
+      error.hidden = false;
+      status.textContent = '';
+    }
+  }
+  
+  /**
+   * "Your data" view: download everything, import a download with a preview, and clear parts of it
+   */
+  initDataManagement() {
+    const section = this.sections.data;
+    if (!section || !window.DataBackup) return;
+    
+    section.querySelector('.data-export')?.addEventListener('click', () => this.exportAllData());
+    
+    const fileInput = section.querySelector('.data-import__file');
+    section.querySelector('.data-import__open')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+      if (fileInput.files.length) {
+        this.importDataFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    section.querySelectorAll('input[name="importMode"]').forEach(input => {
+      input.addEventListener('change', () => this.renderImportPreview());
+    });
+    section.querySelector('.data-import__apply')?.addEventListener('click', () => this.applyDataImport());
+    section.querySelector('.data-import__cancel')?.addEventListener('click', () => this.cancelDataImport());
+    
+    const resetForm = section.querySelector('.data-reset');
+    resetForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.resetData(resetForm);
+    });
+  }
+  
+  /**
+   * List what's saved, with counts for history, routines and reminders
+   */
+  renderDataSummary() {
+    const section = this.sections.data;
+    if (!section || !window.DataBackup) return;
+    
+    const summary = window.DataBackup.summary();
+    section.querySelector('.data-summary').replaceChildren(...summary.map(({ label, count }) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = label;
+      const value = document.createElement('span');
+      value.textContent = count === null ? 'Saved' : String(count);
+      item.append(name, value);
+      return item;
+    }));
+    section.querySelector('.data-summary__empty').hidden = summary.length > 0;
+  }
+  
+  /**
+   * Download everything the app has saved as one JSON file
+   */
+  exportAllData() {
+    const blob = new Blob([window.DataBackup.toJSON()], { type: 'application/json;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = window.DataBackup.fileName();
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    URL.revokeObjectURL(url);
+    
+    this.announceToScreenReader('Your data was downloaded');
+    this.trackUserInteraction('data_exported', 'json');
+  }
+  
+  /**
+   * Read a downloaded data file and preview what importing it would change
+   */
+  async importDataFile(file) {
+    const error = this.sections.data.querySelector('.data-import__error');
+    
+    try {
+      this.pendingImport = { backup: window.DataBackup.parseJSON(await file.text()), fileName: file.name };
+      error.hidden = true;
+      this.renderImportPreview();
+    } catch (e) {
+      this.cancelDataImport();
+      error.textContent = `We couldn't import "${file.name}":\n${e.message}`;
+      error.hidden = false;
+    }
+  }
+  
+  /**
+   * 'merge' or 'replace', as chosen on the import panel
+   */
+  getImportMode() {
+    return this.sections.data.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+  }
+  
+  /**
+   * Show, part by part, what importing the chosen file would change in the chosen mode
+   */
+  renderImportPreview() {
+    const section = this.sections.data;
+    const preview = section.querySelector('.data-import__preview');
+    if (!this.pendingImport) {
+      preview.hidden = true;
+      return;
+    }
+    
+    const { backup, fileName } = this.pendingImport;
+    const changes = window.DataBackup.preview(backup, this.getImportMode());
+    const exported = backup.exportedAt
+      ? ` (downloaded ${new Date(backup.exportedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })})`
+      : '';
+    section.querySelector('.data-import__source').textContent = `What importing ${fileName}${exported} changes:`;
+    
+    const list = section.querySelector('.data-import__changes');
+    list.replaceChildren(...changes.map(change => {
+      const item = document.createElement('li');
+      item.dataset.changed = String(change.changed);
+      const name = document.createElement('span');
+      name.textContent = change.label;
+      const result = document.createElement('span');
+      result.textContent = window.DataBackup.describe(change);
+      item.append(name, result);
+      return item;
+    }));
+    
+    const hasChanges = changes.some(change => change.changed);
+    if (!hasChanges) {
+      const item = document.createElement('li');
+      item.dataset.changed = 'false';
+      item.textContent = 'This device already has everything in the file.';
+      list.replaceChildren(item);
+    }
+    section.querySelector('.data-import__apply').disabled = !hasChanges;
+    preview.hidden = false;
+  }
+  
+  /**
+   * Save the previewed import, then show the imported data everywhere
+   */
+  applyDataImport() {
+    if (!this.pendingImport) return;
+    
+    const mode = this.getImportMode();
+    if (mode === 'replace' && !confirm('Replace the data on this device with the file? Anything that isn\'t in the file will be removed.')) {
+      return;
+    }
+    
+    try {
+      // Compared again in case something was saved since the preview
+      const changed = window.DataBackup.apply(window.DataBackup.preview(this.pendingImport.backup, mode));
+      this.cancelDataImport();
+      this.refreshSavedData();
+      
+      const labels = changed.map(name => window.DataBackup.label(name)).join(', ');
+      alert(changed.length ? `✅ Imported: ${labels}.` : 'Nothing needed changing.');
+      this.announceToScreenReader('Data imported');
+      this.trackUserInteraction('data_imported', `${mode}: ${changed.join(',')}`);
+    } catch (e) {
+      const error = this.sections.data.querySelector('.data-import__error');
+      error.textContent = `We couldn't save the import: ${e.message}`;
+      error.hidden = false;
+    }
+  }
+  
+  cancelDataImport() {
+    this.pendingImport = null;
+    this.renderImportPreview();
+  }
+  
+  /**
+   * Clear only the parts of the saved data ticked on the reset form
+   */
+  resetData(form) {
+    const status = form.querySelector('.data-reset__status');
+    const groups = [...form.querySelectorAll('input[name="group"]:checked')].map(input => input.value);
+    if (!groups.length) {
+      status.textContent = 'Tick what you want to clear first.';
+      return;
+    }
+    
+    const labels = groups.map(group => window.DataBackup.resetGroups[group].label).join(', ');
+    if (!confirm(`Clear ${labels} on this device? This can't be undone.`)) {
+      return;
+    }
+    
+    window.DataBackup.reset(groups);
+    form.reset();
+    this.refreshSavedData();
+    
+    status.textContent = `✅ Cleared: ${labels}.`;
+    this.trackUserInteraction('data_reset', groups.join(','));
+  }
+  
+  /**
+   * Show saved data again everywhere after an import or reset replaced it
+   */
+  refreshSavedData() {
+    // Reminders may have gone or changed; checkScheduledReminders() arms the ones that are left
+    [...this.reminderTimeouts.keys()].forEach(id => this.disarmReminder(id));
+    
+    if (window.ThemeManager) {
+      window.ThemeManager.apply(window.ThemeManager.load());
+    }
+    if (window.TimerCues) {
+      window.TimerCues.loadPrefs();
+      this.updateCueControls();
+    }
+    if (window.MovementBreaks && this.breaksModal) {
+      window.MovementBreaks.load();
+      this.fillMovementBreaksForm();
+    }
+    
+    this.loadReminderPreferences();
+    this.checkScheduledReminders();
+    this.renderCustomRoutines();
+    this.updateLevelPickers();
+    this.updateProgressStats();
+    this.fillSettingsForm();
+    this.renderDataSummary();
+  }
+  
+  /**
+   * Initialize the exercise library: body area filter, search and the entries
+   */
+  initExerciseLibrary() {
+    const section = this.sections.exercises;
+    if (!section || !window.ExerciseLibrary) return;
+    
+    this.exerciseFilters = section.querySelector('.exercise-library__filters');
+    const area = this.exerciseFilters.elements.area;
+    Object.entries(window.ExerciseLibrary.bodyAreas).forEach(([value, label]) => {
+      area.appendChild(new Option(label, value));
+    });
+    
+    this.exerciseFilters.addEventListener('submit', (e) => e.preventDefault());
+    this.exerciseFilters.elements.query.addEventListener('input', () => this.renderExerciseLibrary());
+    area.addEventListener('change', () => {
+      this.renderExerciseLibrary();
+      this.trackUserInteraction('exercise_library_filtered', area.value || 'all');
+    });
+    
+    this.renderExerciseLibrary();
+  }
+  
+  /**
+   * Show the entries matching the search and body area
+   */
+  renderExerciseLibrary() {
+    const section = this.sections.exercises;
+    if (!section || !this.exerciseFilters) return;
+    
+    const { query, area } = this.exerciseFilters.elements;
+    const entries = window.ExerciseLibrary.search(query.value, area.value);
+    const total = window.ExerciseLibrary.entries.length;
+    
+    section.querySelector('.exercise-grid').replaceChildren(...entries.map(entry => this.createExerciseCard(entry)));
+    section.querySelector('.exercise-library__count').textContent = entries.length === total
+      ? `${total} exercises`
+      : `${entries.length} of ${total} exercises`;
+    section.querySelector('.exercise-library__empty').hidden = entries.length > 0;
+  }
+  
+  /**
+   * Show every entry again (before following a link to one)
+   */
+  clearExerciseFilters() {
+    if (!this.exerciseFilters) return;
+    
+    const { query, area } = this.exerciseFilters.elements;
+    if (query.value || area.value) {
+      query.value = '';
+      area.value = '';
+      this.renderExerciseLibrary();
+    }
+  }
+  
+  /**
+   * Build the library card for one exercise
+   */
+  createExerciseCard(entry) {
+    const library = window.ExerciseLibrary;
+    const card = document.createElement('article');
+    card.className = 'exercise-card';
+    card.setAttribute('data-slug', entry.id);
+    card.setAttribute('tabindex', '-1');
+    card.setAttribute('aria-labelledby', `exercise-${entry.id}-title`);
+    
+    // Illustration slot: the entry's GIF or image once there is one
+    const figure = document.createElement('figure');
+    figure.className = 'exercise-card__illustration';
+    if (entry.illustration) {
+      const image = document.createElement('img');
+      image.src = entry.illustration;
+      image.alt = `${entry.name} demonstration`;
+      image.loading = 'lazy';
+      figure.appendChild(image);
+    } else {
+      figure.classList.add('exercise-card__illustration--empty');
+      figure.setAttribute('aria-hidden', 'true');
+      figure.textContent = 'Illustration coming soon';
+    }
+    
+    const title = document.createElement('h3');
+    title.className = 'exercise-card__title';
+    title.id = `exercise-${entry.id}-title`;
+    title.textContent = entry.name;
+    
+    const tags = document.createElement('p');
+    tags.className = 'exercise-card__tags';
+    [library.bodyAreas[entry.bodyArea], library.equipment[entry.equipment]].forEach(text => {
+      const tag = document.createElement('span');
+      tag.className = 'exercise-card__tag';
+      tag.textContent = text;
+      tags.appendChild(tag);
+    });
+    
+    const list = (className, heading, items, ordered) => {
+      const wrapper = document.createElement('div');
+      wrapper.className = className;
+      const label = document.createElement('h4');
+      label.textContent = heading;
+      const itemList = document.createElement(ordered ? 'ol' : 'ul');
+      items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        itemList.appendChild(item);
+      });
+      wrapper.append(label, itemList);
+      return wrapper;
+    };
+    
+    card.append(
+      figure,
+      title,
+      tags,
+      list('exercise-card__steps', 'How to do it', entry.instructions, true),
+      list('exercise-card__mistakes', 'Common mistakes', entry.mistakes, false)
+    );
+    
+    // Easier and harder versions used by the workout difficulty levels
+    const variants = library.variants(entry.id);
+    if (variants) {
+      const levels = document.createElement('p');
+      levels.className = 'exercise-card__variants';
+      levels.textContent = `Easier: ${variants.easier} · Harder: ${variants.harder}`;
+      card.appendChild(levels);
+    }
+    
+    const safety = document.createElement('div');
+    safety.className = 'exercise-card__safety';
+    const safetyLabel = document.createElement('strong');
+    safetyLabel.textContent = '⚠️ Safety:';
+    safety.append(safetyLabel, ` ${entry.safety}`);
+    card.appendChild(safety);
+    
+    return card;
+  }
+  
+  /**
+   * Initialize movement break reminders: the settings modal, the in-page banner and the schedule check
+   */
+  initMovementBreaks() {
+    this.breaksBtn = document.getElementById('movement-breaks-btn');
+    if (!window.MovementBreaks || !this.breaksBtn || !this.breaksModal) return;
     
-    if (typeof window.botpress !== 'undefined') {
-      try {
-        if (window.botpress.close) {
-          window.botpress.close();
-        } else if (window.botpress.hide) {
-          window.botpress.hide();
-        }
-        
-        this.trackUserInteraction('chat_closed', 'botpress_widget');
-        
-      } catch (error) {
-        console.warn('Error closing Botpress widget:', error);
+    window.MovementBreaks.load();
+    const form = this.breaksModal.querySelector('#movement-breaks-form');
+    
+    this.breaksBtn.addEventListener('click', () => this.openMovementBreaks());
+    this.breaksModal.querySelector('.movement-breaks__close')?.addEventListener('click', () => this.closeModal(this.breaksModal, 0));
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', (e) => this.saveMovementBreaks(form, e.target));
+    
+    this.breaksModal.querySelector('.movement-breaks__snooze')?.addEventListener('click', () => this.handleBreakAction('snooze-next'));
+    this.breaksModal.querySelector('.movement-breaks__skip')?.addEventListener('click', () => this.handleBreakAction('skip-next'));
+    this.breaksModal.querySelector('.movement-breaks__test')?.addEventListener('click', () => {
+      this.requestBreakPermission();
+      this.fireMovementBreak({ test: true });
+    });
+    
+    this.breakBanner?.querySelector('.break-banner__start')?.addEventListener('click', () => this.handleBreakAction('open'));
+    this.breakBanner?.querySelector('.break-banner__snooze')?.addEventListener('click', () => this.handleBreakAction('snooze'));
+    this.breakBanner?.querySelector('.break-banner__skip')?.addEventListener('click', () => this.handleBreakAction('dismiss'));
+    
+    // Clicks and buttons on a break notification come back from the service worker
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'BREAK_ACTION') {
+        this.handleBreakAction(e.data.action, e.data.path);
       }
-    } else if (typeof window.botpressWebChat !== 'undefined') {
-      try {
-        window.botpressWebChat.sendEvent({ type: 'hide' });
-      } catch (error) {
-        console.warn('Error hiding chat with alternative method:', error);
+    });
+    
+    // Browsers slow timers down in background tabs, so also check when the tab comes back
+    setInterval(() => this.checkMovementBreak(), 30000);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkMovementBreak();
       }
-    }
+    });
+    
+    this.fillMovementBreaksForm();
+    this.checkMovementBreak();
+    
+    console.log('🧍 Movement breaks initialized');
   }
   
   /**
-   * Fallback chat option when Botpress isn't available
+   * Open the movement breaks modal
    */
-  showChatFallback() {
-    const fallbackMessage = `🤖 Chat with MoveSmart AI\n\n` +
-      `Hey! I'm your fitness coach. I can help with:\n\n` +
-      `💪 Quick workouts (5-15 min)\n` +
-      `🧘 Stretch routines\n` +
-      `🚶 Daily movement tips\n` +
-      `❓ Exercise questions\n\n` +
-      `The chat widget should appear automatically. If you don't see it, please refresh the page!`;
-    
-    alert(fallbackMessage);
+  openMovementBreaks() {
+    this.fillMovementBreaksForm();
+    this.breaksModal.querySelector('.movement-breaks__error').hidden = true;
+    this.breaksModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    this.breaksModal.querySelector('input[name="enabled"]')?.focus();
+    this.trackUserInteraction('movement_breaks_opened', 'modal');
   }
   
   /**
-   * Handle keyboard navigation
+   * Show the saved settings in the form
    */
-  handleKeyNavigation(e) {
-    // ESC to close modals
-    if (e.key === 'Escape') {
-      this.modals.forEach(modal => {
-        if (modal.classList.contains('active')) {
-          this.closeModal(modal, 0);
-        }
-      });
-    }
+  fillMovementBreaksForm() {
+    const settings = window.MovementBreaks.settings;
+    const { elements } = this.breaksModal.querySelector('#movement-breaks-form');
     
-    // Number keys for quick navigation
-    if (e.key >= '1' && e.key <= '4' && !e.target.matches('input, textarea')) {
-      const sections = ['home', 'workouts', 'stretches', 'tips'];
-      const sectionIndex = parseInt(e.key) - 1;
-      if (sections[sectionIndex]) {
-        this.showSection(sections[sectionIndex]);
-      }
-    }
+    elements.enabled.checked = settings.enabled;
+    elements.interval.value = String(settings.interval);
+    elements.snoozeMinutes.value = String(settings.snoozeMinutes);
+    elements.start.value = settings.start;
+    elements.end.value = settings.end;
+    this.breaksModal.querySelectorAll('input[name="days"]').forEach(input => {
+      input.checked = settings.days.includes(parseInt(input.value));
+    });
+    
+    this.updateMovementBreakStatus();
   }
   
   /**
-   * Initialize intersection observer for animations
+   * Save the form whenever a setting changes; problems are shown instead of saved
    */
-  initIntersectionObserver() {
-    if ('IntersectionObserver' in window) {
-      this.observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('fade-in');
-          }
-        });
-      }, {
-        threshold: 0.1,
-        rootMargin: '20px'
+  saveMovementBreaks(form, changed) {
+    const breaks = window.MovementBreaks;
+    const { elements } = form;
+    const error = this.breaksModal.querySelector('.movement-breaks__error');
+    
+    try {
+      breaks.save({
+        interval: parseInt(elements.interval.value),
+        snoozeMinutes: parseInt(elements.snoozeMinutes.value),
+        start: elements.start.value,
+        end: elements.end.value,
+        days: [...form.querySelectorAll('input[name="days"]:checked')].map(input => parseInt(input.value))
       });
       
-      // Observe cards and sections
-      this.cards.forEach(card => this.observer.observe(card));
+      if (changed === elements.enabled) {
+        breaks.setEnabled(elements.enabled.checked);
+        if (elements.enabled.checked) {
+          this.requestBreakPermission();
+        }
+        this.announceToScreenReader(elements.enabled.checked ? 'Movement breaks on' : 'Movement breaks off');
+        this.trackUserInteraction('movement_breaks_toggled', elements.enabled.checked ? 'on' : 'off');
+      }
+      
+      error.hidden = true;
+    } catch (e) {
+      error.textContent = e.message;
+      error.hidden = false;
     }
+    
+    this.updateMovementBreakStatus();
   }
   
   /**
-   * Initialize accessibility features
+   * Ask for notification permission so breaks can reach a background tab
    */
-  initAccessibilityFeatures() {
-    // Add ARIA labels dynamically
-    this.cards.forEach((card, index) => {
-      if (!card.getAttribute('aria-label')) {
-        const title = card.querySelector('h3, .feature-card__title');
-        if (title) {
-          card.setAttribute('aria-label', `${title.textContent} - Click to interact`);
-        }
-      }
-      
-      // Make cards focusable
-      if (!card.hasAttribute('tabindex')) {
-        card.setAttribute('tabindex', '0');
-      }
-    });
+  requestBreakPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
     
-    // Enhanced focus management for modals
-    this.modals.forEach(modal => {
-      modal.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-          this.trapFocus(e, modal);
-        }
-      });
-    });
+    Promise.resolve(Notification.requestPermission())
+      .then(() => this.updateMovementBreakStatus())
+      .catch(error => console.warn('Notification permission request failed:', error));
   }
   
   /**
-   * Trap focus within modal
+   * Show when the next break is due, on the button and in the modal
    */
-  trapFocus(e, modal) {
-    const focusableElements = modal.querySelectorAll(
-      'a[href], button:not([disabled]), textarea:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
-    );
+  updateMovementBreakStatus() {
+    const breaks = window.MovementBreaks;
+    const { settings } = breaks;
+    const next = breaks.nextAt();
     
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
+    let status = 'Breaks are off.';
+    if (settings.enabled && next) {
+      status = `Next break ${this.formatBreakTime(next)}. Every ${settings.interval} min, ${settings.start}–${settings.end}, ${breaks.describeDays(settings.days)}.`;
+    } else if (settings.enabled) {
+      status = 'No breaks coming up. Check your days and active hours.';
+    }
     
-    if (e.shiftKey && document.activeElement === firstElement) {
-      e.preventDefault();
-      lastElement.focus();
-    } else if (!e.shiftKey && document.activeElement === lastElement) {
-      e.preventDefault();
-      firstElement.focus();
+    this.breaksModal.querySelector('.movement-breaks__status').textContent = status;
+    this.breaksBtn.querySelector('.reminder-btn__status').textContent = next ? `Next ${this.formatBreakTime(next)}` : '';
+    this.breaksModal.querySelector('.movement-breaks__snooze').disabled = !next;
+    this.breaksModal.querySelector('.movement-breaks__skip').disabled = !next;
+    
+    // Without notifications, breaks only show as a banner while the page is open
+    const permission = this.breaksModal.querySelector('.movement-breaks__permission');
+    const notifications = 'Notification' in window ? Notification.permission : 'unsupported';
+    permission.hidden = !settings.enabled || notifications === 'granted';
+    if (notifications === 'default') {
+      permission.textContent = 'Allow notifications when your browser asks to get breaks while this tab is in the background.';
+    } else {
+      permission.textContent = 'Notifications are blocked or not supported, so breaks only appear here while MoveSmartAI is open.';
     }
   }
   
   /**
-   * Announce to screen reader
+   * "at 2:45 PM" today, otherwise "Tue at 9:45 AM"
    */
-  announceToScreenReader(message) {
-    let announcement = document.getElementById('sr-announcement');
-    if (!announcement) {
-      announcement = document.createElement('div');
-      announcement.id = 'sr-announcement';
-      announcement.className = 'sr-only';
-      announcement.setAttribute('aria-live', 'polite');
-      document.body.appendChild(announcement);
+  formatBreakTime(date) {
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) {
+      return `at ${time}`;
     }
-    
-    announcement.textContent = message;
-    
-    // Clear after announcement
-    setTimeout(() => {
-      announcement.textContent = '';
-    }, 1000);
+    return `${window.MovementBreaks.dayNames[date.getDay()]} at ${time}`;
   }
   
   /**
-   * Track user interactions for analytics
+   * Show a break if one is due
    */
-  trackUserInteraction(action, details = '') {
-    const data = {
-      action,
-      details,
-      timestamp: new Date().toISOString(),
-      section: this.activeSection,
-      userAgent: navigator.userAgent,
-      viewport: {
-        width: window.innerWidth,
-        height: window.innerHeight
+  checkMovementBreak() {
+    const next = window.MovementBreaks.nextAt();
+    if (next && next <= new Date()) {
+      this.fireMovementBreak();
+    }
+    this.updateMovementBreakStatus();
+  }
+  
+  /**
+   * Nudge the user to move: a notification (when allowed) plus the in-page banner
+   */
+  fireMovementBreak({ test = false } = {}) {
+    if (!test) {
+      window.MovementBreaks.markFired();
+      
+      // Someone mid-session is already moving
+      if (Array.from(this.timers.values()).some(timer => timer.isRunning)) {
+        console.log('🧍 Movement break skipped, a session is running');
+        return;
       }
-    };
-    
-    console.log('📊 User interaction:', data);
+    }
     
-    // Here you could send to analytics service
-    // Example: gtag('event', action, { custom_parameter: details });
+    this.pendingBreak = this.pickBreakChallenge();
+    this.showBreakBanner(this.pendingBreak);
+    this.showBreakNotification(this.pendingBreak);
+    this.updateMovementBreakStatus();
+    this.trackUserInteraction('movement_break_shown', this.pendingBreak ? this.pendingBreak.slug : 'tips');
   }
   
   /**
-   * Handle errors gracefully
+   * A random 1-minute challenge from the Tips cards
+   * @returns {Object|null} { slug, title, steps }
    */
-  handleError(context, error) {
-    console.error(`❌ Error in ${context}:`, error);
+  pickBreakChallenge() {
+    const cards = Array.from(document.querySelectorAll('.tips-card[data-slug]'))
+      .filter(card => card.querySelector('.challenge-timer'));
+    const card = cards[Math.floor(Math.random() * cards.length)];
+    if (!card) return null;
     
-    // Show user-friendly error message
-    this.announceToScreenReader('An error occurred. Please try refreshing the page.');
+    // One line per <br> in the challenge text
+    const text = card.querySelector('.challenge-box p');
+    const steps = text
+      ? Array.from(text.childNodes).map(node => (node.nodeName === 'BR' ? '\n' : node.textContent)).join('').trim()
+      : '';
     
-    // Track error for debugging
-    this.trackUserInteraction('error', `${context}: ${error.message}`);
+    return {
+      slug: card.getAttribute('data-slug'),
+      title: card.querySelector('.tips-card__title')?.textContent.trim() || 'Tips',
+      steps
+    };
   }
   
   /**
-   * Initialize Calendar Reminder functionality
+   * Path the break links to: the challenge on its card, or the Tips section
    */
-  initCalendarReminder() {
-    // Cache elements
-    this.reminderBtn = document.getElementById('set-reminder-btn');
-    this.reminderModal = document.getElementById('calendar-reminder-modal');
-    this.reminderForm = document.getElementById('reminder-form');
-    this.reminderCloseBtn = this.reminderModal?.querySelector('.reminder-modal__close');
-    this.reminderSuccess = document.getElementById('reminder-success');
-    this.downloadOutlookBtn = document.getElementById('download-outlook');
-
-    if (!this.reminderBtn || !this.reminderModal) return;
-
-    // Event listeners
-    this.reminderBtn.addEventListener('click', () => this.openReminderModal());
-    this.reminderCloseBtn?.addEventListener('click', () => this.closeReminderModal());
-    this.reminderForm.addEventListener('submit', (e) => this.handleReminderSubmit(e));
-
-    // Close modal on outside click
-    this.reminderModal.addEventListener('click', (e) => {
-      if (e.target === this.reminderModal) {
-        this.closeReminderModal();
-      }
-    });
-
-    // Close modal on Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.reminderModal.classList.contains('active')) {
-        this.closeReminderModal();
+  breakPath(challenge) {
+    return challenge ? `${this.pathFor('tips', challenge.slug)}/challenge` : this.pathFor('tips');
+  }
+  
+  /**
+   * Show the in-page break banner
+   */
+  showBreakBanner(challenge) {
+    if (!this.breakBanner) return;
+    
+    this.breakBanner.querySelector('.break-banner__text').textContent = challenge
+      ? `🧍 Time to move! Try the ${challenge.title} 1-minute challenge.`
+      : '🧍 Time to move! Stand up, stretch and take a few deep breaths.';
+    this.breakBanner.querySelector('.break-banner__snooze').textContent = `Snooze ${window.MovementBreaks.settings.snoozeMinutes} min`;
+    this.breakBanner.hidden = false;
+  }
+  
+  /**
+   * Show a system notification linking to the challenge (only when permission was given)
+   */
+  showBreakNotification(challenge) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    
+    const title = '🧍 Time to move!';
+    const path = this.breakPath(challenge);
+    const options = {
+      body: challenge ? `${challenge.title} 1-minute challenge\n${challenge.steps}` : 'Stand up, stretch and take a few deep breaths.',
+      icon: 'images/apple-touch-icon.svg',
+      tag: 'movesmartai-break',
+      renotify: true,
+      data: { path, url: `${window.location.href.split('#')[0]}${window.HashRouter ? window.HashRouter.hashFor(path) : ''}` }
+    };
+    
+    // Through the service worker when there is one, so the buttons work and a click can reopen the app
+    const registration = navigator.serviceWorker?.getRegistration
+      ? navigator.serviceWorker.getRegistration()
+      : Promise.resolve(null);
+    
+    registration.then(reg => {
+      if (reg) {
+        return reg.showNotification(title, {
+          ...options,
+          actions: [
+            { action: 'snooze', title: `Snooze ${window.MovementBreaks.settings.snoozeMinutes} min` },
+            { action: 'dismiss', title: 'Skip' }
+          ]
+        });
       }
+      
+      const notification = new Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        this.handleBreakAction('open', path);
+      };
+    }).catch(error => {
+      console.warn('Could not show break notification:', error);
     });
-
-    // Load saved preferences
-    this.loadReminderPreferences();
-    
-    console.log('📅 Calendar reminder initialized');
   }
-
+  
   /**
-   * Initialize Botpress Chat Integration
+   * Respond to the break banner, a break notification or the modal buttons
+   * @param {string} action - 'open', 'snooze', 'dismiss' (a shown break), or 'snooze-next', 'skip-next' (the upcoming one)
+   * @param {string} [path] - Where 'open' goes, when it came from a notification
    */
-  initBotpressChat() {
-    console.log('💬 Initializing Botpress chat...');
+  handleBreakAction(action, path = null) {
+    const breaks = window.MovementBreaks;
     
-    // Wait for Botpress to be fully loaded
-    const initBotpress = () => {
-      if (typeof window.botpress !== 'undefined') {
-        console.log('✅ Botpress loaded successfully');
-        
-        // Set up event listeners for Botpress events
-        try {
-          // Listen for chat events
-          if (window.botpress.on) {
-            window.botpress.on('webchat:opened', () => {
-              console.log('📬 Chat opened');
-              this.trackUserInteraction('chat_opened', 'user_action');
-            });
-            
-            window.botpress.on('webchat:closed', () => {
-              console.log('📭 Chat closed');
-              this.trackUserInteraction('chat_closed', 'user_action');
-            });
-            
-            window.botpress.on('message', (event) => {
-              console.log('💬 New message:', event);
-              this.trackUserInteraction('chat_message', 'user_sent');
-            });
-          }
-          
-          // Expose global chat functions for easy access
-          window.moveSmartAI = {
-            openChat: () => this.openChatWidget(),
-            newConversation: () => this.startNewConversation(),
-            closeChat: () => this.closeChatWidget()
-          };
-          
-        } catch (error) {
-          console.warn('Error setting up Botpress event listeners:', error);
-        }
-        
-      } else {
-        console.warn('⚠️ Botpress not yet loaded, retrying...');
-        setTimeout(initBotpress, 500);
+    if (action === 'snooze') {
+      breaks.snooze();
+      this.announceToScreenReader(`Break snoozed for ${breaks.settings.snoozeMinutes} minutes`);
+    } else if (action === 'snooze-next') {
+      breaks.snooze(breaks.nextAt() || new Date());
+      this.announceToScreenReader(`Next break pushed back ${breaks.settings.snoozeMinutes} minutes`);
+    } else if (action === 'skip-next') {
+      breaks.skip();
+      this.announceToScreenReader('Next break skipped');
+    } else if (action === 'open') {
+      if (this.breaksModal.classList.contains('active')) {
+        this.closeModal(this.breaksModal, 0);
       }
-    };
+      this.navigate(path || this.breakPath(this.pendingBreak));
+    }
     
-    // Start initialization with a small delay to ensure DOM is ready
-    setTimeout(initBotpress, 100);
+    if (action === 'open' || action === 'snooze' || action === 'dismiss') {
+      this.breakBanner.hidden = true;
+      this.pendingBreak = null;
+    }
+    
+    this.updateMovementBreakStatus();
+    this.trackUserInteraction('movement_break_action', action);
   }
 
   /**
-   * Open reminder modal
+   * Open reminder modal, empty or filled from a saved reminder
+   * @param {Object} [reminder] - Saved reminder to fill the form with
+   * @param {Object} [options]
+   * @param {boolean} [options.edit] - Save over that reminder instead of creating a new one
    */
-  openReminderModal() {
+  openReminderModal(reminder = null, { edit = false } = {}) {
     this.reminderModal.classList.add('active');
     document.body.style.overflow = 'hidden';
     
+    const editing = Boolean(reminder && edit);
+    this.reminderForm.elements.id.value = editing ? reminder.id : '';
+    this.reminderExceptions = [];
+    this.reminderForm.elements.repeatEnds.value = 'never';
+    this.reminderForm.elements.timeZone.value = window.TimeZones.current();
+    this.reminderForm.querySelectorAll('input[name="repeatDays"]').forEach(input => {
+      input.checked = false;
+    });
+    document.getElementById('reminder-modal-title').textContent = editing ? '✏️ Edit Reminder' : '📅 Set Workout Reminder';
+    this.reminderForm.querySelector('.reminder-submit-btn span:last-child').textContent = editing ? 'Save Changes' : 'Create Reminder';
+    
     // Set default date to tomorrow
     const tomorrow = new Date();
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -1234,12 +3418,66 @@ class MoveSmartAI {
       timeInput.value = '09:00';
     }
     
+    // New reminders go off the default time before the workout chosen in Settings
+    this.reminderForm.elements.reminderMinutes.value = String(window.UserSettings.get('reminderMinutes'));
+    
+    if (reminder) {
+      this.fillReminderForm(reminder, { keepDate: editing });
+    }
+    this.renderReminderExceptions();
+    this.updateReminderRepeat();
+    
     // Focus first input
     document.getElementById('reminder-title').focus();
     
     this.trackUserInteraction('reminder_modal_opened', 'modal_open');
   }
 
+  /**
+   * Fill the reminder form from a saved reminder; a duplicate of a past one moves to tomorrow
+   */
+  fillReminderForm(reminder, { keepDate = false } = {}) {
+    const { elements } = this.reminderForm;
+    elements.title.value = reminder.title;
+    elements.email.value = reminder.email;
+    elements.time.value = reminder.time;
+    elements.duration.value = String(reminder.duration);
+    elements.repeat.value = reminder.repeat || 'none';
+    elements.notes.value = reminder.notes || '';
+    elements.reminderMinutes.value = String(reminder.reminderMinutes);
+    if (reminder.timeZone && window.TimeZones.isValid(reminder.timeZone)) {
+      this.ensureTimeZoneOption(reminder.timeZone);
+      elements.timeZone.value = reminder.timeZone;
+    }
+    
+    if (keepDate || new Date(reminder.workoutDateTime) > new Date()) {
+      elements.date.value = reminder.date;
+    }
+    
+    this.reminderForm.querySelectorAll('input[name="repeatDays"]').forEach(input => {
+      input.checked = (reminder.repeatDays || []).includes(parseInt(input.value));
+    });
+    elements.repeatEnds.value = reminder.repeatCount ? 'count' : (reminder.repeatUntil ? 'until' : 'never');
+    elements.repeatUntil.value = reminder.repeatUntil || '';
+    if (reminder.repeatCount) {
+      elements.repeatCount.value = String(reminder.repeatCount);
+    }
+    this.reminderExceptions = [...(reminder.exceptions || [])];
+  }
+
+  /**
+   * A saved reminder's zone may be missing from this browser's list
+   */
+  ensureTimeZoneOption(timeZone) {
+    const select = this.reminderForm.elements.timeZone;
+    if (!Array.from(select.options).some(option => option.value === timeZone)) {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      option.textContent = timeZone.replace(/_/g, ' ');
+      select.appendChild(option);
+    }
+  }
+
   /**
    * Close reminder modal
    */
@@ -1272,19 +3510,19 @@ class MoveSmartAI {
       const testDate = new Date();
       testDate.setMinutes(testDate.getMinutes() + 30); // 30 minutes from now
       
-      const success = await this.sendConfirmationEmail(
-        testEmail,
-        'Email Test - MoveSmartAI',
-        testDate,
-        30,
-        'This is a test email to verify the email service is working correctly.'
-      );
+      const result = await this.sendReminderMessage('confirmation', {
+        email: testEmail,
+        title: 'Email Test - MoveSmartAI',
+        workoutDateTime: testDate,
+        duration: 30,
+        notes: 'This is a test email to verify the email service is working correctly.'
+      });
       
-      if (success) {
-        alert('✅ Test email sent successfully! Check your inbox.');
+      if (result.ok) {
+        alert(`✅ Test email sent successfully! Check your inbox. (${window.ReminderDelivery.describe(result)})`);
         console.log('✅ Test email sent successfully');
       } else {
-        alert('❌ Test email failed. Check the console for details.');
+        alert(`❌ Test email failed. ${window.ReminderDelivery.describe(result)}`);
         console.log('❌ Test email failed');
       }
     } catch (error) {
@@ -1318,6 +3556,7 @@ class MoveSmartAI {
     const date = formData.get('date');
     const time = formData.get('time');
     const duration = parseInt(formData.get('duration'));
+    const timeZone = formData.get('timeZone') || window.TimeZones.current();
     
     if (!title || !email || !date || !time) {
       alert('Please fill in all required fields.');
@@ -1331,20 +3570,48 @@ class MoveSmartAI {
       return;
     }
     
-    // Create reminder data
+    // Repeat options only apply to the chosen repeat and end
+    const repeat = formData.get('repeat');
+    const ends = formData.get('repeatEnds');
+    const repeating = repeat !== 'none';
+    const repeatOptions = {
+      repeatDays: repeat === 'weekly' ? formData.getAll('repeatDays').map(day => parseInt(day)) : [],
+      repeatUntil: repeating && ends === 'until' ? formData.get('repeatUntil') : null,
+      repeatCount: repeating && ends === 'count' ? Number(formData.get('repeatCount')) : null,
+      exceptions: repeating ? [...this.reminderExceptions] : []
+    };
+    
+    const errors = window.Recurrence.validate(window.Recurrence.fromReminder({ date, repeat, ...repeatOptions }), date);
+    if (!window.TimeZones.isValid(timeZone)) {
+      errors.push('Pick a time zone for this reminder.');
+    }
+    if (errors.length) {
+      alert(errors.join('\n'));
+      return;
+    }
+    
+    // Create reminder data (a new reminder gets its id now, so its calendar file matches "My reminders")
+    const editing = Boolean(formData.get('id'));
     this.currentReminder = {
+      id: formData.get('id') || window.ScheduledReminders.createId(),
       title,
       email,
       date,
       time,
+      timeZone,
       duration,
-      repeat: formData.get('repeat'),
+      repeat,
+      ...repeatOptions,
       notes: formData.get('notes').trim(),
       reminderMinutes: parseInt(formData.get('reminderMinutes'))
     };
     
-    // Schedule email reminder
-    this.scheduleEmailReminder();
+    // Schedule email reminder (it's saved before anything is sent)
+    this.scheduleEmailReminder().catch(error => {
+      console.error('Error scheduling reminder:', error);
+      // Falls back to this browser for whatever wasn't finished
+      this.checkScheduledReminders();
+    });
     
     // Save preferences
     this.saveReminderPreferences();
@@ -1352,7 +3619,7 @@ class MoveSmartAI {
     // Show success state
     this.showReminderSuccess();
     
-    this.trackUserInteraction('reminder_created', 'form_submit', {
+    this.trackUserInteraction(editing ? 'reminder_edited' : 'reminder_created', 'form_submit', {
       duration: duration,
       repeat: this.currentReminder.repeat,
       hasEmail: true
@@ -1366,171 +3633,196 @@ class MoveSmartAI {
     this.reminderForm.style.display = 'none';
     this.reminderSuccess.style.display = 'block';
     
+    // Emails can't go out offline; the reminder falls back to a notification on this device
+    const offlineNote = this.reminderSuccess.querySelector('.reminder-success__offline');
+    if (offlineNote) {
+      offlineNote.hidden = !this.isOffline();
+    }
+    
     // Setup action button
-    this.downloadOutlookBtn.onclick = () => this.downloadOutlookICS();
+    this.downloadOutlookBtn.onclick = () => this.downloadReminderICS();
   }
 
   /**
    * Schedule email reminder
    */
   async scheduleEmailReminder() {
-    const { title, email, date, time, duration, reminderMinutes, notes } = this.currentReminder;
+    const { id, title, email, date, time, timeZone, duration, repeat, reminderMinutes, notes } = this.currentReminder;
+    const { repeatDays, repeatUntil, repeatCount, exceptions } = this.currentReminder;
     
-    // Create reminder date/time
-    const workoutDateTime = new Date(`${date}T${time}`);
-    const reminderDateTime = new Date(workoutDateTime.getTime() - reminderMinutes * 60000);
+    // Create reminder date/time in the reminder's zone (a repeating reminder starts at its first occurrence still ahead)
     const now = new Date();
+    const seriesStart = window.Recurrence.at(date, time, timeZone);
+    const rule = window.Recurrence.fromReminder(this.currentReminder);
+    const workoutDateTime = window.Recurrence.isRepeating(rule)
+      ? window.Recurrence.next(seriesStart, rule, now) || window.Recurrence.first(seriesStart, rule) || seriesStart
+      : seriesStart;
+    const reminderDateTime = new Date(workoutDateTime.getTime() - reminderMinutes * 60000);
+    const timeUntilReminder = reminderDateTime.getTime() - now.getTime();
     
-    // Send immediate confirmation email
-    console.log('📧 Sending confirmation email...');
-    await this.sendConfirmationEmail(email, title, workoutDateTime, duration, notes);
+    // Every reminder is listed under "My reminders", however it ends up being delivered
+    const reminder = {
+      id,
+      title,
+      email,
+      date,
+      time,
+      timeZone,
+      duration,
+      repeat,
+      repeatDays,
+      repeatUntil,
+      repeatCount,
+      exceptions,
+      notes,
+      reminderMinutes,
+      workoutDateTime: workoutDateTime.toISOString(),
+      reminderDateTime: reminderDateTime.toISOString(),
+      error: null,
+      sentAt: null,
+      failedAt: null
+    };
     
-    // Check if reminder time is in the future
-    const timeUntilReminder = reminderDateTime.getTime() - now.getTime();
+    // An edited reminder replaces the old one, so its timer must not fire too (its delivery record carries on)
+    this.disarmReminder(id);
+    reminder.deliveries = window.ScheduledReminders.get(id)?.deliveries || [];
     
-    if (timeUntilReminder > 0) {
-      console.log(`⏰ Scheduling reminder for ${reminderDateTime.toLocaleString()}`);
-      
-      // Use a webhook service that can actually schedule emails
-      try {
-        await this.scheduleReminderViaWebhook({
-          email,
-          title,
-          workoutDateTime: workoutDateTime.toISOString(),
-          reminderDateTime: reminderDateTime.toISOString(),
-          duration,
-          notes,
-          reminderMinutes
+    // Offline: no emails, just a notification from this device when it's time
+    if (this.isOffline()) {
+      console.warn('📴 Offline - skipping emails and keeping the reminder on this device');
+      if (timeUntilReminder > 0) {
+        this.scheduleReminderLocally(reminder);
+      } else {
+        this.saveReminder({
+          ...reminder,
+          channel: 'email-browser',
+          status: 'failed',
+          error: 'The reminder time had already passed and you were offline, so nothing was sent.'
         });
+      }
+      return;
+    }
+    
+    // Saved before any sending, so a closed tab or a hung request can't lose it; the results are
+    // only recorded while it's still this setup (a cancel or edit in the meantime wins)
+    const setup = window.ScheduledReminders.createId();
+    this.saveReminder({ ...reminder, status: 'pending', setup });
+    this.reminderSetups.add(id);
+    
+    try {
+      // Send immediate confirmation email
+      console.log('📧 Sending confirmation email...');
+      const confirmation = await this.sendReminderMessage('confirmation', reminder);
+      let record = window.ScheduledReminders.recordSetup(id, setup, confirmation);
+      if (!record) return;
+      
+      // Check if reminder time is in the future
+      if (timeUntilReminder > 0) {
+        console.log(`⏰ Scheduling reminder for ${reminderDateTime.toLocaleString()}`);
         
-        console.log('✅ Reminder successfully scheduled via webhook service');
+        // Hand it to a service that can send the email at the reminder time
+        const queued = await this.sendReminderMessage('schedule', reminder);
+        record = window.ScheduledReminders.recordSetup(id, setup, queued, queued.ok
+          ? { channel: 'email-service', status: 'queued', setup: null }
+          : {});
+        if (!record) return;
         
-      } catch (error) {
-        console.error('❌ Failed to schedule reminder via webhook:', error);
+        if (queued.ok) {
+          this.renderMyReminders();
+        } else {
+          // Fallback: Use browser-based scheduling (limited but better than nothing)
+          this.scheduleReminderLocally({ ...record, setup: null });
+        }
+        
+      } else {
+        console.warn('⚠️ Reminder time is in the past, sending immediate notification');
+        // Send immediate reminder instead
+        const result = await this.sendReminderMessage('reminder', reminder);
+        const saved = window.ScheduledReminders.recordSetup(id, setup, result, {
+          channel: 'email-browser',
+          setup: null,
+          ...this.reminderStatus(result)
+        });
+        if (!saved) return;
         
-        // Fallback: Use browser-based scheduling (limited but better than nothing)
-        this.scheduleReminderLocally(email, title, workoutDateTime, duration, notes, timeUntilReminder);
+        this.renderMyReminders();
+        await this.scheduleNextOccurrence(saved);
       }
-      
-    } else {
-      console.warn('⚠️ Reminder time is in the past, sending immediate notification');
-      // Send immediate reminder instead
-      await this.sendEmailReminder(email, title, workoutDateTime, duration, notes);
+    } finally {
+      this.reminderSetups.delete(id);
     }
   }
-
+  
   /**
-   * Schedule reminder via webhook service that can send emails at specified times
-   */
-  async scheduleReminderViaWebhook(reminderData) {
-    const schedulingPayload = {
-      email: reminderData.email,
-      subject: `🏋️‍♀️ Workout Reminder: ${reminderData.title}`,
-      message: this.generateReminderEmailContent(reminderData),
-      send_at: reminderData.reminderDateTime, // ISO format timestamp
-      _subject: `🏋️‍♀️ Workout Reminder: ${reminderData.title}`,
-      _replyto: reminderData.email,
-      reminder_type: 'workout_reminder',
-      workout_time: reminderData.workoutDateTime,
-      duration: reminderData.duration
+   * The message for a reminder, by kind: 'reminder' (time to work out), 'confirmation' (it was set up),
+   * 'schedule' (for the email service to send at the reminder time) or 'device' (an on-device nudge)
+   *
+   * Email wording comes from EMAIL_TEMPLATES in js/config.js
+   */
+  buildReminderMessage(kind, reminder) {
+    const { email, title, duration, notes, timeZone } = reminder;
+    const workoutDateTime = new Date(reminder.workoutDateTime);
+    
+    // Times are shown in the reminder's zone, which is where the recipient works out
+    const content = window.TemplateEngine.renderEmail(window.EMAIL_TEMPLATES[kind] || window.EMAIL_TEMPLATES.reminder, {
+      title,
+      duration,
+      notes,
+      date: window.TimeZones.format(workoutDateTime, timeZone, { year: 'numeric', month: 'numeric', day: 'numeric' }),
+      time: window.TimeZones.format(workoutDateTime, timeZone, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }),
+      siteUrl: window.APP_CONFIG.siteUrl,
+      scheduledOn: new Date().toLocaleDateString()
+    });
+    const message = {
+      to: email,
+      subject: content.subject,
+      text: content.text,
+      html: content.html,
+      title: `🏋️‍♀️ ${title}`,
+      summary: `Scheduled for ${window.TimeZones.format(workoutDateTime, timeZone, { dateStyle: 'medium', timeStyle: 'short' })}`
     };
-
-    // Try multiple scheduling services
-    const services = [
-      {
-        name: 'Formspree Scheduler',
-        url: 'https://formspree.io/f/xnnqlrpv',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Formspree-Schedule': reminderData.reminderDateTime
-        }
-      }
-    ];
-
-    for (const service of services) {
-      try {
-        const response = await fetch(service.url, {
-          method: 'POST',
-          headers: service.headers,
-          body: JSON.stringify(schedulingPayload)
-        });
-
-        if (response.ok) {
-          console.log(`✅ Reminder scheduled successfully via ${service.name}`);
-          return true;
-        } else {
-          console.warn(`⚠️ ${service.name} returned status ${response.status}`);
+    
+    if (kind === 'schedule') {
+      return {
+        ...message,
+        sendAt: new Date(reminder.reminderDateTime).toISOString(),
+        fields: {
+          reminder_type: 'workout_reminder',
+          workout_time: workoutDateTime.toISOString(),
+          duration
         }
-      } catch (error) {
-        console.warn(`❌ ${service.name} failed:`, error);
-        continue;
-      }
+      };
     }
-
-    throw new Error('All scheduling services failed');
+    return message;
   }
-
+  
   /**
-   * Generate email content for reminder
+   * Send a reminder message through the delivery layer (see js/delivery.js)
+   * @returns {Promise<Object>} The delivery result, also kept in the reminder's delivery record
    */
-  generateReminderEmailContent(reminderData) {
-    const workoutTime = new Date(reminderData.workoutDateTime);
-    
-    return `Hi there! 👋
-
-🏋️‍♀️ WORKOUT REMINDER: ${reminderData.title}
-
-It's time to get moving! Your workout is scheduled for:
-
-📅 Date: ${workoutTime.toLocaleDateString()}
-⏰ Time: ${workoutTime.toLocaleTimeString()}
-⏱️ Duration: ${reminderData.duration} minutes
-${reminderData.notes ? `📝 Notes: ${reminderData.notes}` : ''}
-
-Ready to crush your workout? Here are some quick tips:
-
-💪 Find a comfortable space
-💧 Stay hydrated
-👂 Listen to your body
-😊 Have fun with it!
-
-Let's make today amazing! 
-
-Best regards,
-Your MoveSmartAI Team
-
-P.S. Visit https://margaretteee.github.io/MoveSmart-AI/ for more workouts!
+  async sendReminderMessage(kind, reminder) {
+    console.log(`📧 Sending ${kind} for "${reminder.title}" to ${reminder.email}`);
+    const result = await window.ReminderDelivery.deliver(kind, this.buildReminderMessage(kind, reminder));
     
----
-This is an automated reminder from MoveSmartAI. You scheduled this reminder on ${new Date().toLocaleDateString()}.`;
+    if (result.ok) {
+      console.log(`✅ ${window.ReminderDelivery.describe(result)}`);
+    } else {
+      console.warn(`❌ ${kind} not delivered: ${result.error}`);
+    }
+    return result;
   }
-
+  
   /**
    * Fallback local scheduling (browser-based, limited effectiveness)
    */
-  scheduleReminderLocally(email, title, workoutDateTime, duration, notes, timeUntilReminder) {
+  scheduleReminderLocally(reminder) {
     console.log('📱 Using fallback local scheduling (browser-based)');
     
-    // Store in localStorage for persistence
-    this.storeScheduledReminder({
-      email, 
-      title, 
-      workoutDateTime: workoutDateTime.toISOString(), 
-      duration, 
-      notes, 
-      reminderDateTime: new Date(Date.now() + timeUntilReminder).toISOString(),
-      scheduled: new Date().toISOString()
-    });
+    // Save it so it survives a reload
+    const saved = this.saveReminder({ ...reminder, channel: 'email-browser', status: 'scheduled' });
 
     // Set browser-based timer (works only if page stays open)
-    setTimeout(async () => {
-      console.log('⏰ Browser-based reminder triggered!');
-      await this.sendEmailReminder(email, title, workoutDateTime, duration, notes);
-      
-      // Also show browser notification as backup
-      this.showBrowserNotification(`🏋️‍♀️ ${title}`, workoutDateTime);
-      
-    }, timeUntilReminder);
+    this.armReminder(saved);
 
     // Show notification about limitations
     setTimeout(() => {
@@ -1539,49 +3831,173 @@ This is an automated reminder from MoveSmartAI. You scheduled this reminder on $
   }
   
   /**
-   * Store scheduled reminder in localStorage
+   * Store a reminder and refresh "My reminders"
+   */
+  saveReminder(reminder) {
+    const saved = window.ScheduledReminders.save(reminder);
+    this.renderMyReminders();
+    return saved;
+  }
+  
+  /**
+   * Start the browser-side timer that sends a reminder
+   */
+  armReminder(reminder) {
+    this.disarmReminder(reminder.id);
+    
+    // setTimeout can't wait longer than ~24.8 days; later reminders are armed on a later visit
+    const delay = new Date(reminder.reminderDateTime).getTime() - Date.now();
+    if (delay > 2147483647) return;
+    
+    this.reminderTimeouts.set(reminder.id, setTimeout(() => {
+      this.deliverReminder(reminder.id).catch(error => console.warn('Could not send reminder:', error));
+    }, Math.max(delay, 0)));
+  }
+  
+  /**
+   * Stop a reminder's browser-side timer
+   */
+  disarmReminder(id) {
+    clearTimeout(this.reminderTimeouts.get(id));
+    this.reminderTimeouts.delete(id);
+  }
+  
+  /**
+   * Send a browser-scheduled reminder and record how it went
+   */
+  async deliverReminder(id) {
+    this.reminderTimeouts.delete(id);
+    
+    // Cancelled or already handled since the timer was set
+    const reminder = window.ScheduledReminders.get(id);
+    if (!reminder || reminder.status !== 'scheduled') return;
+    
+    await this.whileSendingReminder(id, async () => {
+      console.log('⏰ Browser-based reminder triggered!');
+      const result = await this.sendReminderMessage('reminder', reminder);
+      
+      // Also show browser notification as backup (unless that's how the reminder went out)
+      if (result.ok && result.transport !== 'notification') {
+        window.ReminderDelivery.deliver('device', this.buildReminderMessage('device', reminder));
+      }
+      
+      const updated = window.ScheduledReminders.recordDelivery(id, result, this.reminderStatus(result));
+      if (!(await this.scheduleNextOccurrence(updated))) {
+        this.renderMyReminders();
+      }
+    });
+  }
+  
+  /**
+   * Run a reminder's sending step, unless one is already running for it
+   * @returns {Promise<*>} What the step returned, or null when it was skipped
    */
-  storeScheduledReminder(reminderData) {
+  async whileSendingReminder(id, step) {
+    if (this.reminderSends.has(id)) return null;
+    
+    this.reminderSends.add(id);
     try {
-      const stored = JSON.parse(localStorage.getItem('movesmartai_scheduled_reminders') || '[]');
-      stored.push(reminderData);
-      localStorage.setItem('movesmartai_scheduled_reminders', JSON.stringify(stored));
-    } catch (error) {
-      console.warn('Could not store scheduled reminder:', error);
+      return await step();
+    } finally {
+      this.reminderSends.delete(id);
+    }
+  }
+  
+  /**
+   * After an occurrence was sent, missed or failed, move a repeating reminder on to the
+   * next one and schedule it the same way (with the email service when it was used)
+   * @returns {Object|null} The rescheduled reminder, or null for a one-off or a finished series
+   */
+  async scheduleNextOccurrence(reminder) {
+    const rule = window.Recurrence.fromReminder(reminder);
+    if (!window.Recurrence.isRepeating(rule)) return null;
+    
+    // Occurrences that went by while MoveSmartAI was closed are skipped
+    const current = new Date(reminder.workoutDateTime);
+    const after = new Date(Math.max(current.getTime(), Date.now()));
+    const next = window.Recurrence.next(window.Recurrence.at(reminder.date, reminder.time, reminder.timeZone), rule, after);
+    if (!next) return null;
+    
+    // The last occurrence's problem stays visible until the next one is sent
+    const when = current.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    const updated = {
+      ...reminder,
+      workoutDateTime: next.toISOString(),
+      reminderDateTime: new Date(next.getTime() - reminder.reminderMinutes * 60000).toISOString(),
+      error: reminder.error ? `Last reminder (${when}): ${reminder.error}` : null
+    };
+    
+    let record = updated;
+    if (reminder.channel === 'email-service') {
+      const queued = await this.sendReminderMessage('schedule', updated);
+      if (queued.ok) {
+        return this.saveReminder({ ...window.ScheduledReminders.addDelivery(updated, queued), status: 'queued' });
+      }
+      console.warn('Could not queue the next occurrence with the email service, sending it from this browser');
+      record = window.ScheduledReminders.addDelivery(updated, queued);
+    }
+    
+    const saved = this.saveReminder({ ...record, channel: 'email-browser', status: 'scheduled' });
+    this.armReminder(saved);
+    return saved;
+  }
+  
+  /**
+   * Status fields recording whether a reminder went out
+   */
+  reminderStatus(result) {
+    if (result.ok) {
+      return { status: 'sent', sentAt: result.at, error: null };
     }
+    return { status: 'failed', failedAt: result.at, error: window.ReminderDelivery.describe(result) };
   }
   
   /**
    * Check for any scheduled reminders on page load
    */
   checkScheduledReminders() {
+    if (!window.ScheduledReminders) return;
+    
     try {
-      const stored = JSON.parse(localStorage.getItem('movesmartai_scheduled_reminders') || '[]');
       const now = new Date();
-      const remaining = [];
+      window.ScheduledReminders.prune(now);
       
-      stored.forEach(reminder => {
-        const reminderTime = new Date(reminder.reminderDateTime);
-        const timeUntilReminder = reminderTime.getTime() - now.getTime();
+      // Setups cut short (the tab closed, or sending threw) carry on from this browser
+      window.ScheduledReminders.load()
+        .filter(reminder => reminder.status === 'pending' && !this.reminderSetups.has(reminder.id))
+        .forEach(reminder => window.ScheduledReminders.update(reminder.id, { status: 'scheduled', channel: 'email-browser', setup: null }));
+      
+      const failed = (error) => console.warn('Could not send or reschedule reminder:', error);
+      
+      window.ScheduledReminders.load().forEach(reminder => {
+        // Already being sent or moved on by an earlier check
+        if (reminder.status !== 'scheduled' || this.reminderSends.has(reminder.id)) return;
         
-        if (timeUntilReminder > 0) {
+        const reminderTime = new Date(reminder.reminderDateTime);
+        if (reminderTime > now) {
           // Reschedule this reminder
           console.log(`🔄 Rescheduling reminder for ${reminderTime.toLocaleString()}`);
-          setTimeout(async () => {
-            await this.sendEmailReminder(
-              reminder.email, 
-              reminder.title, 
-              new Date(reminder.workoutDateTime), 
-              reminder.duration, 
-              reminder.notes
-            );
-          }, timeUntilReminder);
-          remaining.push(reminder);
+          this.armReminder(reminder);
+        } else if (new Date(reminder.workoutDateTime) > now) {
+          // Due while the page was closed, but the workout is still ahead: better late than never
+          this.deliverReminder(reminder.id).catch(failed);
+        } else {
+          const missed = window.ScheduledReminders.update(reminder.id, {
+            status: 'missed',
+            error: 'MoveSmartAI was closed when this reminder was due, so it was never sent.'
+          });
+          this.whileSendingReminder(reminder.id, () => this.scheduleNextOccurrence(missed)).catch(failed);
         }
       });
       
-      // Update stored reminders, removing past ones
-      localStorage.setItem('movesmartai_scheduled_reminders', JSON.stringify(remaining));
+      // The email service has had its occurrence; queue the next one (once, however often this runs)
+      window.ScheduledReminders.load()
+        .filter(reminder => reminder.status === 'queued' && new Date(reminder.reminderDateTime) <= now)
+        .forEach(reminder => {
+          this.whileSendingReminder(reminder.id, () => this.scheduleNextOccurrence({ ...reminder, error: null })).catch(failed);
+        });
+      
+      this.renderMyReminders();
       
     } catch (error) {
       console.warn('Error checking scheduled reminders:', error);
@@ -1589,258 +4005,301 @@ This is an automated reminder from MoveSmartAI. You scheduled this reminder on $
   }
   
   /**
-   * Send email reminder using EmailJS
+   * Open the "My reminders" panel
+   */
+  openMyReminders() {
+    this.renderMyReminders();
+    this.myRemindersModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    this.myRemindersModal.querySelector('.my-reminders__close')?.focus();
+    this.trackUserInteraction('my_reminders_opened', 'modal_open');
+  }
+  
+  /**
+   * List upcoming and recent reminders, and show the counts on the section button
    */
-  async sendEmailReminder(email, title, workoutDateTime, duration, notes) {
-    console.log(`📧 Attempting to send email reminder to ${email}`);
+  renderMyReminders() {
+    if (!this.myRemindersModal || !window.ScheduledReminders) return;
     
-    // Try EmailJS first
-    if (typeof emailjs !== 'undefined' && window.EMAIL_CONFIG) {
-      try {
-        const emailParams = {
-          to_email: email,
-          to_name: 'Fitness Enthusiast',
-          from_name: 'MoveSmartAI',
-          subject: `🏋️‍♀️ Workout Reminder: ${title}`,
-          message: `Hi there! 👋
-
-This is your friendly reminder that your workout "${title}" is scheduled for:
-
-📅 Date: ${workoutDateTime.toLocaleDateString()}
-⏰ Time: ${workoutDateTime.toLocaleTimeString()}
-⏱️ Duration: ${duration} minutes
-${notes ? `📝 Notes: ${notes}` : ''}
-
-Time to get moving! 💪
-
-Remember:
-• Find a comfortable space
-• Stay hydrated
-• Listen to your body
-• Have fun with it!
-
-Best regards,
-Your MoveSmartAI Team
-
-P.S. Visit https://margaretteee.github.io/MoveSmart-AI/ for more workouts!`
-        };
-        
-        await emailjs.send(
-          window.EMAIL_CONFIG.serviceId,
-          window.EMAIL_CONFIG.templateId,
-          emailParams
-        );
-        console.log('✅ Reminder email sent successfully via EmailJS!');
-        return true;
-      } catch (error) {
-        console.warn('EmailJS failed, trying fallback method:', error);
-      }
-    }
+    const now = new Date();
+    const upcoming = window.ScheduledReminders.upcoming(now);
+    const past = window.ScheduledReminders.past(now);
+    
+    const upcomingList = this.myRemindersModal.querySelector('.my-reminders__list--upcoming');
+    upcomingList.replaceChildren(...upcoming.map(reminder => this.createReminderItem(reminder, true)));
+    this.myRemindersModal.querySelector('.my-reminders__empty').hidden = upcoming.length > 0;
+    this.myRemindersModal.querySelector('.my-reminders__export').hidden = upcoming.length === 0;
+    
+    const pastList = this.myRemindersModal.querySelector('.my-reminders__list--past');
+    pastList.replaceChildren(...past.map(reminder => this.createReminderItem(reminder, false)));
+    this.myRemindersModal.querySelector('.my-reminders__group--past').hidden = past.length === 0;
     
-    // Fallback: Use webhook service
-    return await this.sendEmailViaWebhook(email, title, workoutDateTime, duration, notes, 'reminder');
+    const failed = past.filter(reminder => reminder.status === 'failed' || reminder.status === 'missed').length;
+    const counts = [];
+    if (upcoming.length) counts.push(`${upcoming.length} upcoming`);
+    if (failed) counts.push(`${failed} failed`);
+    this.myRemindersBtn.querySelector('.reminder-btn__status').textContent = counts.join(' · ');
   }
   
   /**
-   * Send confirmation email
+   * One reminder in the "My reminders" list
    */
-  async sendConfirmationEmail(email, title, workoutDateTime, duration, notes) {
-    console.log(`📧 Sending confirmation email to ${email}`);
+  createReminderItem(reminder, upcoming) {
+    const workout = new Date(reminder.workoutDateTime);
+    const remindAt = new Date(reminder.reminderDateTime);
+    const problem = reminder.status === 'failed' || reminder.status === 'missed';
     
-    if (typeof emailjs !== 'undefined' && window.EMAIL_CONFIG) {
-      try {
-        const emailParams = {
-          to_email: email,
-          to_name: 'Fitness Enthusiast',
-          from_name: 'MoveSmartAI',
-          subject: `✅ Workout Reminder Confirmed: ${title}`,
-          message: `Hi there! 👋
-
-Your workout reminder has been set up successfully!
-
-📅 Workout: ${title}
-📅 Date: ${workoutDateTime.toLocaleDateString()}
-⏰ Time: ${workoutDateTime.toLocaleTimeString()}
-⏱️ Duration: ${duration} minutes
-${notes ? `📝 Notes: ${notes}` : ''}
-
-We'll send you a reminder email before your workout time.
-
-Stay motivated and keep moving! 💪
-
-Best regards,
-Your MoveSmartAI Team`
-        };
-        
-        await emailjs.send(
-          window.EMAIL_CONFIG.serviceId,
-          window.EMAIL_CONFIG.templateId,
-          emailParams
-        );
-        console.log('✅ Confirmation email sent via EmailJS!');
-        return true;
-      } catch (error) {
-        console.warn('EmailJS failed for confirmation, trying fallback:', error);
-      }
+    const item = document.createElement('li');
+    item.className = `my-reminders__item${problem ? ' my-reminders__item--problem' : ''}`;
+    item.setAttribute('data-reminder', reminder.id);
+    
+    const header = document.createElement('div');
+    header.className = 'my-reminders__header';
+    const title = document.createElement('strong');
+    title.className = 'my-reminders__title';
+    title.textContent = reminder.title;
+    const status = document.createElement('span');
+    status.className = `my-reminders__status my-reminders__status--${reminder.status}`;
+    status.textContent = window.ScheduledReminders.statuses[reminder.status] || reminder.status;
+    header.append(title, status);
+    
+    const when = document.createElement('p');
+    when.className = 'my-reminders__when';
+    const rule = window.Recurrence.fromReminder(reminder);
+    const repeating = window.Recurrence.isRepeating(rule);
+    const repeat = repeating ? ` · ${window.Recurrence.describe(rule)}` : '';
+    // In the reminder's own zone, named when it isn't this device's
+    const zone = reminder.timeZone !== window.TimeZones.current() ? ` (${reminder.timeZone.replace(/_/g, ' ')})` : '';
+    const day = window.TimeZones.format(workout, reminder.timeZone, { weekday: 'short', month: 'short', day: 'numeric' });
+    const at = window.TimeZones.format(workout, reminder.timeZone, { hour: 'numeric', minute: '2-digit' });
+    when.textContent = `${day} at ${at}${zone} · ${reminder.duration} min${repeat}`;
+    
+    const delivery = document.createElement('p');
+    delivery.className = 'my-reminders__delivery';
+    delivery.textContent = `Reminder ${remindAt.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })} to ${reminder.email} · ${window.ScheduledReminders.channels[reminder.channel] || reminder.channel}`;
+    
+    item.append(header, when, delivery);
+    
+    if (reminder.error) {
+      const error = document.createElement('p');
+      error.className = 'my-reminders__error';
+      error.textContent = reminder.error;
+      item.appendChild(error);
+    }
+    
+    if (reminder.deliveries.length) {
+      item.appendChild(this.createDeliveryLog(reminder.deliveries));
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'my-reminders__actions';
+    const buttons = upcoming
+      ? [['my-reminders__edit', '✏️ Edit', () => this.editReminder(reminder)],
+         ['my-reminders__duplicate', '📄 Duplicate', () => this.duplicateReminder(reminder)],
+         ['my-reminders__cancel', '🚫 Cancel', () => this.cancelReminder(reminder)]]
+      : [['my-reminders__duplicate', '📄 Duplicate', () => this.duplicateReminder(reminder)],
+         ['my-reminders__remove', '🗑️ Remove', () => this.removeReminder(reminder)]];
+    if (upcoming && repeating) {
+      buttons.splice(1, 0, ['my-reminders__skip', '⏭️ Skip next', () => this.skipReminderOccurrence(reminder)]);
     }
+    buttons.forEach(([className, label, action]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.setAttribute('aria-label', `${label.slice(3)} ${reminder.title}`);
+      button.addEventListener('click', action);
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
     
-    return await this.sendEmailViaWebhook(email, title, workoutDateTime, duration, notes, 'confirmation');
+    return item;
   }
   
   /**
-   * Fallback email service using webhook
+   * Collapsible list of a reminder's delivery attempts, newest first
    */
-  async sendEmailViaWebhook(email, title, workoutDateTime, duration, notes, type) {
-    try {
-      const isReminder = type === 'reminder';
-      const subject = isReminder ? `🏋️‍♀️ Workout Reminder: ${title}` : `✅ Workout Reminder Confirmed: ${title}`;
-      const message = isReminder 
-        ? `Time for your workout "${title}"!\n\nScheduled for: ${workoutDateTime.toLocaleString()}\nDuration: ${duration} minutes\n${notes ? `\nNotes: ${notes}` : ''}\n\nGet moving! 💪`
-        : `Your workout reminder for "${title}" has been confirmed!\n\nScheduled for: ${workoutDateTime.toLocaleString()}\nDuration: ${duration} minutes\n\nWe'll remind you before it's time!`;
-      
-      const response = await fetch('https://formspree.io/f/xnnqlrpv', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          email: email,
-          subject: subject,
-          message: message,
-          _subject: subject,
-          _replyto: email
-        })
-      });
-      
-      if (response.ok) {
-        console.log('✅ Email sent successfully via webhook!');
-        return true;
-      } else {
-        throw new Error(`HTTP ${response.status}`);
-      }
-    } catch (error) {
-      console.error('❌ Failed to send email via webhook:', error);
-      // Last resort: browser notification
-      this.showBrowserNotification(title, workoutDateTime);
-      return false;
+  createDeliveryLog(deliveries) {
+    const log = document.createElement('details');
+    log.className = 'my-reminders__log';
+    const summary = document.createElement('summary');
+    summary.textContent = `Delivery log (${deliveries.length})`;
+    const list = document.createElement('ol');
+    list.className = 'my-reminders__log-list';
+    
+    [...deliveries].reverse().forEach(result => {
+      const entry = document.createElement('li');
+      entry.className = `my-reminders__log-entry${result.ok ? '' : ' my-reminders__log-entry--failed'}`;
+      const at = new Date(result.at).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+      entry.textContent = `${at} · ${result.kind} · ${window.ReminderDelivery.describe(result)}`;
+      list.appendChild(entry);
+    });
+    
+    log.append(summary, list);
+    return log;
+  }
+  
+  /**
+   * Reopen the reminder form to change a saved reminder
+   */
+  editReminder(reminder) {
+    if (reminder.channel === 'email-service' &&
+        !confirm('This reminder was already handed to the email scheduling service, which may still send the original. Edit it anyway?')) {
+      return;
     }
+    this.closeModal(this.myRemindersModal, 0);
+    this.openReminderModal(reminder, { edit: true });
   }
   
   /**
-   * Fallback browser notification
+   * Start a new reminder from a copy of a saved one
    */
-  showBrowserNotification(title, workoutDateTime) {
-    if ('Notification' in window) {
-      if (Notification.permission === 'granted') {
-        new Notification(`🏋️‍♀️ ${title}`, {
-          body: `Scheduled for ${workoutDateTime.toLocaleString()}`,
-          icon: '/favicon.ico'
-        });
-      } else if (Notification.permission !== 'denied') {
-        Notification.requestPermission().then(permission => {
-          if (permission === 'granted') {
-            new Notification(`🏋️‍♀️ ${title}`, {
-              body: `Scheduled for ${workoutDateTime.toLocaleString()}`,
-              icon: '/favicon.ico'
-            });
-          }
-        });
-      }
+  duplicateReminder(reminder) {
+    this.closeModal(this.myRemindersModal, 0);
+    this.openReminderModal(reminder);
+    this.trackUserInteraction('reminder_duplicated', 'my_reminders');
+  }
+  
+  /**
+   * Stop an upcoming reminder; it stays listed as cancelled
+   */
+  cancelReminder(reminder) {
+    const note = reminder.channel === 'email-service'
+      ? '\n\nIt was already handed to the email scheduling service, which may still send it.'
+      : '';
+    const repeats = window.Recurrence.isRepeating(window.Recurrence.fromReminder(reminder)) ? ' and all its repeats' : '';
+    if (!confirm(`Cancel the reminder "${reminder.title}"${repeats}?${note}`)) return;
+    
+    this.disarmReminder(reminder.id);
+    window.ScheduledReminders.update(reminder.id, { status: 'cancelled', error: null });
+    this.renderMyReminders();
+    this.announceToScreenReader(`Reminder ${reminder.title} cancelled`);
+    this.trackUserInteraction('reminder_cancelled', reminder.channel);
+  }
+  
+  /**
+   * Skip the next occurrence of a repeating reminder (it's added to the skipped dates)
+   */
+  async skipReminderOccurrence(reminder) {
+    const date = window.Recurrence.dateKey(new Date(reminder.workoutDateTime));
+    if (reminder.channel === 'email-service' &&
+        !confirm('This occurrence was already handed to the email scheduling service, which may still send it. Skip it anyway?')) {
+      return;
+    }
+    
+    this.disarmReminder(reminder.id);
+    const skipped = { ...reminder, exceptions: [...reminder.exceptions, date].sort(), error: null };
+    if (!(await this.scheduleNextOccurrence(skipped))) {
+      // That was the last one
+      window.ScheduledReminders.update(reminder.id, { exceptions: skipped.exceptions, status: 'cancelled', error: null });
+      this.renderMyReminders();
     }
+    this.announceToScreenReader(`Skipped ${reminder.title} on ${window.Recurrence.parseDate(date).toLocaleDateString()}`);
+    this.trackUserInteraction('reminder_occurrence_skipped', reminder.channel);
+  }
+  
+  /**
+   * Take a finished reminder off the list
+   */
+  removeReminder(reminder) {
+    window.ScheduledReminders.remove(reminder.id);
+    this.renderMyReminders();
+    this.announceToScreenReader(`Reminder ${reminder.title} removed`);
   }
-  downloadOutlookICS() {
-    const { title, date, time, duration, repeat, notes, reminderMinutes } = this.currentReminder;
+  
+  /**
+   * Calendar event for a reminder: the whole series from its first date, with the reminder as an alert
+   */
+  reminderEvent(reminder) {
+    const timeZone = reminder.timeZone || window.TimeZones.current();
     
-    // Create start and end times
-    const startDateTime = new Date(`${date}T${time}`);
-    const endDateTime = new Date(startDateTime.getTime() + duration * 60000);
+    // A weekly series starts on its first chosen weekday
+    const seriesStart = window.Recurrence.at(reminder.date, reminder.time, timeZone);
+    const rule = window.Recurrence.fromReminder({ ...reminder, timeZone });
+    const start = window.Recurrence.first(seriesStart, rule) || seriesStart;
     
-    // Format dates for ICS (UTC format)
-    const formatDate = (date) => {
-      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return {
+      uid: window.ICalendar.uid(reminder.id || `${reminder.email}-${reminder.title}-${reminder.date}T${reminder.time}`),
+      start,
+      end: new Date(start.getTime() + reminder.duration * 60000),
+      timeZone,
+      summary: reminder.title,
+      description: reminder.notes || `Time for your MoveSmartAI workout! 💪\n\nThis reminder will help you stay consistent with your fitness goals.\n\nVisit: ${window.APP_CONFIG.siteUrl}`,
+      location: 'Your preferred workout space',
+      categories: ['Fitness', 'Health', 'Personal'],
+      // Same repeat rules as the reminder emails: RRULE plus EXDATE for skipped dates
+      recurrence: window.Recurrence.toICS(start, rule,
+        date => window.ICalendar.formatLocal(date, timeZone),
+        date => window.ICalendar.formatUtc(date)),
+      alarmMinutes: reminder.reminderMinutes
     };
+  }
+  
+  /**
+   * Download the reminder just created as an .ics file
+   */
+  downloadReminderICS() {
+    const { date, reminderMinutes } = this.currentReminder;
+    this.downloadICS([this.reminderEvent(this.currentReminder)], `MoveSmartAI-Workout-Reminder-${date}.ics`);
     
-    // Generate RRULE for repeat
-    let rrule = '';
-    if (repeat === 'daily') {
-      rrule = '\nRRULE:FREQ=DAILY';
-    } else if (repeat === 'weekly') {
-      rrule = '\nRRULE:FREQ=WEEKLY';
-    }
-    
-    // Create VALARM for reminder
-    const reminderTrigger = `-PT${reminderMinutes}M`;
-    const valarm = `BEGIN:VALARM
-TRIGGER:${reminderTrigger}
-DESCRIPTION:${title}
-ACTION:DISPLAY
-END:VALARM`;
-    
-    // Create ICS content with Outlook-specific formatting
-    const icsContent = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Microsoft Corporation//Outlook 16.0 MIMEDIR//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-BEGIN:VEVENT
-UID:${Date.now()}@movesmartai.outlook.com
-DTSTAMP:${formatDate(new Date())}
-DTSTART:${formatDate(startDateTime)}
-DTEND:${formatDate(endDateTime)}
-SUMMARY:${title}
-DESCRIPTION:${notes || 'Time for your MoveSmartAI workout! 💪\n\nThis reminder will help you stay consistent with your fitness goals.\n\nVisit: https://margaretteee.github.io/MoveSmart-AI/'}
-LOCATION:Your preferred workout space
-CATEGORIES:FITNESS,HEALTH,PERSONAL
-PRIORITY:5
-STATUS:CONFIRMED
-TRANSP:OPAQUE${rrule}
-${valarm}
-END:VEVENT
-END:VCALENDAR`.replace(/\n/g, '\r\n');
-
-    // Create and download file
-    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+    this.trackUserInteraction('calendar_ics_downloaded', 'file_download', {
+      reminderMinutes: reminderMinutes
+    });
+  }
+  
+  /**
+   * Download every upcoming reminder (the whole plan) as one .ics file
+   */
+  downloadAllRemindersICS() {
+    const upcoming = window.ScheduledReminders.upcoming();
+    if (!upcoming.length) return;
+    
+    this.downloadICS(upcoming.map(reminder => this.reminderEvent(reminder)), 'MoveSmartAI-Workout-Plan.ics', 'MoveSmartAI Workouts');
+    this.trackUserInteraction('calendar_plan_downloaded', 'file_download', { reminders: upcoming.length });
+    this.announceToScreenReader(`Calendar file with ${upcoming.length} reminders downloaded`);
+  }
+  
+  /**
+   * Save calendar events as an .ics download
+   */
+  downloadICS(events, filename, name = null) {
+    const blob = new Blob([window.ICalendar.calendar(events, { name })], { type: 'text/calendar;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `MoveSmartAI-Workout-Reminder-${date}.ics`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     
     URL.revokeObjectURL(url);
-    
-    this.trackUserInteraction('outlook_ics_downloaded', 'file_download', {
-      reminderMinutes: reminderMinutes
-    });
   }
 
   /**
-   * Save user preferences to localStorage
+   * Remember the last reminder's details to fill in the next one (the lead time comes from Settings)
    */
   saveReminderPreferences() {
     const prefs = {
       title: this.currentReminder.title,
       email: this.currentReminder.email,
       duration: this.currentReminder.duration,
-      repeat: this.currentReminder.repeat,
-      reminderMinutes: this.currentReminder.reminderMinutes
+      repeat: this.currentReminder.repeat
     };
     
     try {
-      localStorage.setItem('movesmartai_reminder_prefs', JSON.stringify(prefs));
+      window.AppStore.set('reminderForm', prefs);
     } catch (error) {
       console.warn('Could not save reminder preferences:', error);
     }
   }
 
   /**
-   * Load user preferences from localStorage
+   * Fill the reminder form with the last reminder's details
    */
   loadReminderPreferences() {
     try {
-      const prefs = JSON.parse(localStorage.getItem('movesmartai_reminder_prefs') || '{}');
+      const prefs = window.AppStore.get('reminderForm', {});
       
       if (prefs.title) {
         document.getElementById('reminder-title').value = prefs.title;
@@ -1854,9 +4313,6 @@ END:VCALENDAR`.replace(/\n/g, '\r\n');
       if (prefs.repeat) {
         document.getElementById('reminder-repeat').value = prefs.repeat;
       }
-      if (prefs.reminderMinutes) {
-        document.getElementById('reminder-minutes').value = prefs.reminderMinutes;
-      }
     } catch (error) {
       console.warn('Could not load reminder preferences:', error);
     }
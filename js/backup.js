@@ -0,0 +1,321 @@
+/**
+ * MoveSmartAI Data Backup
+ * Everything the app saves (see AppStore in js/store.js) as one JSON file, imported back by merging
+ * or replacing with a preview of what changes, and clearing chosen parts of it
+ */
+
+const DataBackup = {
+  format: 'movesmartai-backup',
+
+  // What a backup holds and how each part is merged: lists item by item (by id), objects key by key.
+  // Sessions in progress aren't included; they only make sense on the device running them.
+  parts: {
+    sessions: { kind: 'list', sortBy: 'startedAt' },
+    routines: { kind: 'list' },
+    reminders: { kind: 'list' },
+    settings: { kind: 'object' },
+    cues: { kind: 'object' },
+    breaks: { kind: 'object' },
+    levels: { kind: 'object' },
+    reminderForm: { kind: 'object' }
+  },
+
+  // What can be cleared on its own, and the parts each choice removes
+  resetGroups: {
+    history: { label: 'Movement history', parts: ['sessions'] },
+    reminders: { label: 'Reminders', parts: ['reminders', 'reminderForm'] },
+    routines: { label: 'Custom routines', parts: ['routines'] },
+    settings: { label: 'Settings', parts: ['settings', 'cues', 'breaks', 'levels'] }
+  },
+
+  label(name) {
+    return AppStore.collections[name] || name;
+  },
+
+  /**
+   * A saved part, or null when there's nothing (or nothing readable) saved
+   */
+  read(name) {
+    try {
+      return AppStore.get(name, null);
+    } catch (error) {
+      console.warn(`Could not read ${name} for the backup:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Everything saved, as a backup object
+   */
+  create() {
+    const data = {};
+    Object.keys(this.parts).forEach(name => {
+      const value = this.read(name);
+      if (value !== null) {
+        data[name] = value;
+      }
+    });
+
+    return {
+      format: this.format,
+      schemaVersion: AppStore.schemaVersion,
+      exportedAt: new Date().toISOString(),
+      data
+    };
+  },
+
+  /**
+   * Backup as a downloadable JSON document
+   */
+  toJSON() {
+    return JSON.stringify(this.create(), null, 2);
+  },
+
+  /**
+   * File name for a backup, e.g. MoveSmartAI-Data-2026-10-19.json
+   */
+  fileName(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `MoveSmartAI-Data-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+  },
+
+  /**
+   * Read an exported file back into a backup object
+   * @returns {Object} { exportedAt, schemaVersion, data } with only the parts this version knows
+   * @throws {Error} With a readable explanation, one problem (or rejected item) per line
+   */
+  parseJSON(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error("This file isn't valid JSON, so it can't be a MoveSmartAI data export.");
+    }
+
+    if (backup && backup.format === 'movesmartai-routine') {
+      throw new Error('This file is a single routine. Import it from the Workouts page instead.');
+    }
+    if (!backup || backup.format !== this.format) {
+      throw new Error("This file isn't a MoveSmartAI data export.");
+    }
+
+    const version = Number(backup.schemaVersion);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error("This export's format version isn't recognised.");
+    }
+    if (version > AppStore.schemaVersion) {
+      throw new Error('This file was exported from a newer version of MoveSmartAI. Refresh the page and try again.');
+    }
+
+    const source = backup.data && typeof backup.data === 'object' ? backup.data : null;
+    if (!source) {
+      throw new Error('This export has no data in it.');
+    }
+
+    const errors = [];
+    const data = {};
+    Object.entries(this.parts).forEach(([name, { kind }]) => {
+      if (source[name] === undefined || source[name] === null) return;
+
+      const value = source[name];
+      const valid = kind === 'list'
+        ? Array.isArray(value) && value.every(item => item && typeof item === 'object' && item.id)
+        : typeof value === 'object' && !Array.isArray(value);
+      if (!valid) {
+        errors.push(`${this.label(name)} ${kind === 'list' ? 'should be a list of items with ids' : 'should be a set of values'}.`);
+        return;
+      }
+      if (kind === 'object') {
+        data[name] = value;
+        return;
+      }
+
+      // Each item has to be something the app can show and run, or it would break the page it's on
+      data[name] = value.map(item => {
+        const checked = this.checkItem(name, item);
+        if (checked.errors.length) {
+          errors.push(`${this.label(name)}, "${item.title || item.id}": ${checked.errors.join(' ')}`);
+        }
+        return checked.item;
+      });
+    });
+
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+    return { exportedAt: backup.exportedAt || null, schemaVersion: version, data };
+  },
+
+  /**
+   * Check one item of an imported list
+   * @returns {Object} { item, errors } - The item as it would be saved, and its problems (empty when there are none)
+   */
+  checkItem(name, item) {
+    const isDate = value => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+    if (name === 'routines' && typeof CustomRoutines !== 'undefined') {
+      return { item, errors: CustomRoutines.validate(item) };
+    }
+    if (name === 'reminders' && typeof ScheduledReminders !== 'undefined') {
+      const errors = [];
+      if (typeof item.title !== 'string' || !item.title.trim()) errors.push('It has no title.');
+      if (typeof item.email !== 'string' || !item.email.includes('@')) errors.push('It has no email address.');
+      if (!isDate(item.workoutDateTime)) errors.push("Its workout time isn't a valid date.");
+      if (!isDate(item.reminderDateTime)) errors.push("Its reminder time isn't a valid date.");
+      return { item: errors.length ? item : ScheduledReminders.normalize(item), errors };
+    }
+    if (name === 'sessions') {
+      const errors = [];
+      if (!isDate(item.startedAt)) errors.push("Its start time isn't a valid date.");
+      if (typeof item.durationSeconds !== 'number' || !Number.isFinite(item.durationSeconds) || item.durationSeconds < 0) {
+        errors.push("Its duration isn't a number of seconds.");
+      }
+      return { item, errors };
+    }
+    return { item, errors: [] };
+  },
+
+  /**
+   * What importing a backup would change, part by part
+   * @param {Object} backup - From parseJSON()
+   * @param {string} mode - 'merge' (add and update, keep the rest) or 'replace' (match the file exactly)
+   * @returns {Array<Object>} [{ name, label, kind, added, updated, removed, unchanged, changed, value }],
+   *   where `value` is what gets saved (null to clear the part)
+   */
+  preview(backup, mode = 'merge') {
+    return Object.entries(this.parts)
+      .filter(([name]) => backup.data[name] !== undefined || (mode === 'replace' && this.read(name) !== null))
+      .map(([name, part]) => {
+        const current = this.read(name);
+        const incoming = backup.data[name];
+        const change = part.kind === 'list'
+          ? this.compareLists(current || [], incoming || [], mode, part.sortBy)
+          : this.compareObjects(current || {}, incoming || {}, mode);
+
+        change.changed = change.added + change.updated + change.removed > 0;
+        if (mode === 'replace' && incoming === undefined) {
+          change.value = null;
+        }
+        return { name, label: this.label(name), kind: part.kind, ...change };
+      });
+  },
+
+  compareLists(current, incoming, mode, sortBy = null) {
+    const incomingById = new Map(incoming.map(item => [item.id, item]));
+    const existing = new Map(current.map(item => [item.id, item]));
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+    incoming.forEach(item => {
+      if (!existing.has(item.id)) {
+        counts.added++;
+      } else if (JSON.stringify(existing.get(item.id)) !== JSON.stringify(item)) {
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+    });
+    current.forEach(item => {
+      if (!incomingById.has(item.id)) {
+        counts[mode === 'replace' ? 'removed' : 'unchanged']++;
+      }
+    });
+
+    // Merging keeps this device's items in place, swapping in updated copies and adding new ones
+    const value = mode === 'replace'
+      ? [...incoming]
+      : [...current.map(item => incomingById.get(item.id) || item),
+        ...incoming.filter(item => !existing.has(item.id))];
+    if (sortBy) {
+      value.sort((a, b) => String(a[sortBy] || '').localeCompare(String(b[sortBy] || '')));
+    }
+    return { ...counts, value };
+  },
+
+  compareObjects(current, incoming, mode) {
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    Object.keys(incoming).forEach(key => {
+      if (!(key in current)) {
+        counts.added++;
+      } else if (JSON.stringify(current[key]) !== JSON.stringify(incoming[key])) {
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+    });
+    Object.keys(current).forEach(key => {
+      if (!(key in incoming)) {
+        counts[mode === 'replace' ? 'removed' : 'unchanged']++;
+      }
+    });
+
+    return { ...counts, value: mode === 'replace' ? { ...incoming } : { ...current, ...incoming } };
+  },
+
+  /**
+   * "3 added, 1 updated", "2 settings changed", "Cleared" or "No changes" for one part of a preview
+   */
+  describe(change) {
+    if (change.value === null) {
+      return 'Cleared';
+    }
+    if (!change.changed) {
+      return 'No changes';
+    }
+    if (change.kind === 'object') {
+      const total = change.added + change.updated + change.removed;
+      return `${total} ${total === 1 ? 'setting' : 'settings'} changed`;
+    }
+    return [['added', change.added], ['updated', change.updated], ['removed', change.removed]]
+      .filter(([, count]) => count > 0)
+      .map(([what, count]) => `${count} ${what}`)
+      .join(', ');
+  },
+
+  /**
+   * Save the changes from preview()
+   * @returns {Array<string>} Names of the parts that changed
+   */
+  apply(changes) {
+    const changed = changes.filter(change => change.changed || change.value === null);
+    changed.forEach(change => {
+      if (change.value === null) {
+        AppStore.remove(change.name);
+      } else {
+        AppStore.set(change.name, change.value);
+      }
+    });
+    return changed.map(change => change.name);
+  },
+
+  /**
+   * Clear some of the saved data
+   * @param {Array<string>} groups - Keys of resetGroups
+   * @returns {Array<string>} Names of the parts removed
+   */
+  reset(groups) {
+    const parts = groups.flatMap(group => (this.resetGroups[group] ? this.resetGroups[group].parts : []));
+    parts.forEach(name => AppStore.remove(name));
+    return parts;
+  },
+
+  /**
+   * What's saved right now, for the export summary: [{ name, label, count }] (count is null for settings)
+   */
+  summary() {
+    return Object.entries(this.parts)
+      .map(([name, { kind }]) => {
+        const value = this.read(name);
+        if (value === null) return null;
+        return { name, label: this.label(name), count: kind === 'list' && Array.isArray(value) ? value.length : null };
+      })
+      .filter(Boolean);
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DataBackup };
+} else {
+  // For browser environment
+  window.DataBackup = DataBackup;
+}
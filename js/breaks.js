@@ -0,0 +1,193 @@
+/**
+ * MoveSmartAI Movement Breaks
+ * Recurring "time to move" nudges: an interval inside active hours on chosen weekdays,
+ * with snooze and skip. Works entirely in the browser, no email service needed.
+ */
+
+const MovementBreaks = {
+  storageKey: 'breaks',
+
+  defaults: {
+    enabled: false,
+    interval: 45,               // Minutes between breaks
+    start: '09:00',             // Active hours, local time
+    end: '17:00',
+    days: [1, 2, 3, 4, 5],      // 0 = Sunday ... 6 = Saturday
+    snoozeMinutes: 10,
+    anchor: null,               // ISO time the current interval is counted from
+    snoozedUntil: null          // ISO time of a snoozed break
+  },
+
+  limits: {
+    interval: [10, 240],
+    snoozeMinutes: [1, 60]
+  },
+
+  dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+  settings: null,
+
+  /**
+   * Load saved settings merged over the defaults
+   */
+  load() {
+    try {
+      const saved = AppStore.get(this.storageKey, {});
+      this.settings = { ...this.defaults, ...saved };
+    } catch (error) {
+      console.warn('Could not load movement break settings:', error);
+      this.settings = { ...this.defaults };
+    }
+    return this.settings;
+  },
+
+  /**
+   * Validate, update and persist settings
+   * @throws {Error} With every validation problem in the message
+   */
+  save(changes) {
+    const settings = { ...(this.settings || this.load()), ...changes };
+    const errors = this.validate(settings);
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+
+    this.settings = settings;
+    try {
+      AppStore.set(this.storageKey, settings);
+    } catch (error) {
+      console.warn('Could not save movement break settings:', error);
+    }
+    return settings;
+  },
+
+  /**
+   * List every problem with a set of settings as a human-readable message (empty when valid)
+   */
+  validate(settings) {
+    const errors = [];
+    const [minInterval, maxInterval] = this.limits.interval;
+    const [minSnooze, maxSnooze] = this.limits.snoozeMinutes;
+    const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+    const interval = Number(settings.interval);
+    if (!Number.isInteger(interval) || interval < minInterval || interval > maxInterval) {
+      errors.push(`Break interval must be ${minInterval}–${maxInterval} minutes.`);
+    }
+    if (!isTime(settings.start) || !isTime(settings.end)) {
+      errors.push('Active hours need a start and end time.');
+    } else if (settings.start >= settings.end) {
+      errors.push('Active hours must end after they start.');
+    }
+    if (!Array.isArray(settings.days) || !settings.days.length) {
+      errors.push('Pick at least one day.');
+    }
+    const snooze = Number(settings.snoozeMinutes);
+    if (!Number.isInteger(snooze) || snooze < minSnooze || snooze > maxSnooze) {
+      errors.push(`Snooze must be ${minSnooze}–${maxSnooze} minutes.`);
+    }
+
+    return errors;
+  },
+
+  /**
+   * When the next break is due, or null when breaks are off
+   *
+   * Breaks come every `interval` minutes, counted from the later of the last break
+   * (or skip) and the start of that day's active hours, and never outside them.
+   * A break that fell due while the page was closed is due straight away.
+   */
+  nextAt(settings = this.settings || this.load(), now = new Date()) {
+    if (!settings.enabled) return null;
+
+    const snoozedUntil = settings.snoozedUntil ? new Date(settings.snoozedUntil) : null;
+    if (snoozedUntil && snoozedUntil > now) {
+      return snoozedUntil;
+    }
+
+    const anchor = settings.anchor ? new Date(settings.anchor).getTime() : 0;
+    const intervalMs = settings.interval * 60000;
+
+    // Look a week ahead for the next active window with room for a break
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      if (!settings.days.includes(day.getDay())) continue;
+
+      const windowStart = this.atTime(day, settings.start);
+      const windowEnd = this.atTime(day, settings.end);
+      if (windowEnd <= now) continue;
+
+      const due = Math.max(Math.max(windowStart.getTime(), anchor) + intervalMs, now.getTime());
+      if (due <= windowEnd.getTime()) {
+        return new Date(due);
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Whether `now` falls inside active hours on an active day
+   */
+  isActive(settings = this.settings || this.load(), now = new Date()) {
+    if (!settings.enabled || !settings.days.includes(now.getDay())) return false;
+    return now >= this.atTime(now, settings.start) && now < this.atTime(now, settings.end);
+  },
+
+  /**
+   * A break was shown: start counting the next interval from now
+   */
+  markFired(now = new Date()) {
+    return this.save({ anchor: now.toISOString(), snoozedUntil: null });
+  },
+
+  /**
+   * Put a break off for a few minutes: a break just shown (from now), or the upcoming one (from when it's due)
+   */
+  snooze(from = new Date(), minutes = (this.settings || this.load()).snoozeMinutes) {
+    return this.save({ snoozedUntil: new Date(from.getTime() + minutes * 60000).toISOString() });
+  },
+
+  /**
+   * Skip the upcoming break; the one after it keeps its usual spacing
+   */
+  skip(now = new Date()) {
+    const next = this.nextAt(this.settings || this.load(), now) || now;
+    return this.save({ anchor: next.toISOString(), snoozedUntil: null });
+  },
+
+  /**
+   * Turn breaks on or off; turning on starts the first interval now
+   */
+  setEnabled(enabled, now = new Date()) {
+    return this.save(enabled
+      ? { enabled: true, anchor: now.toISOString(), snoozedUntil: null }
+      : { enabled: false, snoozedUntil: null });
+  },
+
+  /**
+   * Date on `day` at an 'HH:MM' local time
+   */
+  atTime(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+  },
+
+  /**
+   * "Mon–Fri", "Sat, Sun" or "Every day"
+   */
+  describeDays(days) {
+    const sorted = [...days].sort();
+    if (sorted.length === 7) return 'Every day';
+    if (sorted.join() === '1,2,3,4,5') return 'Mon–Fri';
+    return sorted.map(day => this.dayNames[day]).join(', ');
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MovementBreaks };
+} else {
+  // For browser environment
+  window.MovementBreaks = MovementBreaks;
+}
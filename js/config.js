@@ -1,19 +1,113 @@
 /**
- * MoveSmartAI Email Configuration
- * Configure EmailJS settings for sending reminder emails
+ * MoveSmartAI Configuration
+ * Every external service the app talks to (EmailJS, the webhook email service, Botpress chat)
+ * and the site URL used in emails, with overrides per environment
  */
 
-// EmailJS Configuration
-// Using working EmailJS credentials for actual email delivery
-const EMAIL_CONFIG = {
-  // EmailJS Public Key - this is a working public key
-  publicKey: 'iG7UP4CNtfOHJKrLf',
+// Production settings. A fork only needs to change these (or override them below).
+const DEFAULT_CONFIG = {
+  // Linked from emails and calendar events
+  siteUrl: 'https://margaretteee.github.io/MoveSmart-AI/',
   
-  // EmailJS Service ID - working Gmail service
-  serviceId: 'service_8n6kzua',
+  emailjs: {
+    publicKey: 'iG7UP4CNtfOHJKrLf',
+    serviceId: 'service_8n6kzua',
+    templateId: 'template_reminder'
+  },
   
-  // EmailJS Template ID - using a basic template that should work
-  templateId: 'template_reminder',
+  // Email service that can also send at a later time (Formspree-compatible)
+  webhook: {
+    url: 'https://formspree.io/f/xnnqlrpv',
+    scheduleHeader: 'X-Formspree-Schedule',
+    enabled: true
+  },
+  
+  botpress: {
+    injectUrl: 'https://cdn.botpress.cloud/webchat/v3.5/inject.js',
+    configUrl: 'https://files.bpcontent.cloud/2026/01/06/07/20260106073239-JYT1GDIF.js',
+    // Appears in the names of the chat's stored data, which is cleared on every visit
+    botId: 'JYT1GDIF'
+  }
+};
+
+// Merged over DEFAULT_CONFIG for the environment the app runs in.
+// Anything set in window.MOVESMARTAI_CONFIG (before this file loads) is merged last.
+const ENVIRONMENT_CONFIG = {
+  // localhost / 127.0.0.1, e.g. Live Server
+  development: {
+    siteUrl: 'http://127.0.0.1:5500/'
+    // webhook: { url: 'http://localhost:3000/reminders' }  // A local stand-in for the email service
+  },
+  production: {}
+};
+
+// Which settings must be present, with how to describe them when they're missing
+const REQUIRED_CONFIG = {
+  siteUrl: 'Site URL (siteUrl)',
+  'emailjs.publicKey': 'EmailJS public key (emailjs.publicKey)',
+  'emailjs.serviceId': 'EmailJS service ID (emailjs.serviceId)',
+  'emailjs.templateId': 'EmailJS template ID (emailjs.templateId)',
+  'webhook.url': 'Webhook URL (webhook.url)',
+  'botpress.injectUrl': 'Botpress webchat script (botpress.injectUrl)',
+  'botpress.configUrl': 'Botpress bot script (botpress.configUrl)',
+  'botpress.botId': 'Botpress bot ID (botpress.botId)'
+};
+
+/**
+ * 'development' on localhost, otherwise 'production'; window.MOVESMARTAI_ENV wins when set
+ */
+function detectEnvironment() {
+  if (typeof window === 'undefined') return 'production';
+  if (window.MOVESMARTAI_ENV) return window.MOVESMARTAI_ENV;
+  return ['localhost', '127.0.0.1'].includes(window.location.hostname) ? 'development' : 'production';
+}
+
+/**
+ * Copy of `base` with `overrides` merged in, section by section
+ */
+function mergeConfig(base, overrides = {}) {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isSection ? mergeConfig(base[key] || {}, value) : value;
+  });
+  return merged;
+}
+
+/**
+ * List every missing or malformed setting as a human-readable message (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+  Object.entries(REQUIRED_CONFIG).forEach(([path, label]) => {
+    // The webhook URL is only needed while the webhook is in use
+    if (path === 'webhook.url' && !config.webhook.enabled) return;
+    
+    const value = path.split('.').reduce((section, key) => (section ? section[key] : undefined), config);
+    if (!value) {
+      errors.push(`${label} is missing`);
+    } else if (/url$/i.test(path)) {
+      try {
+        new URL(value);
+      } catch (error) {
+        errors.push(`${label} is not a valid URL: ${value}`);
+      }
+    }
+  });
+  return errors;
+}
+
+const APP_CONFIG = mergeConfig(
+  mergeConfig(DEFAULT_CONFIG, ENVIRONMENT_CONFIG[detectEnvironment()]),
+  typeof window !== 'undefined' ? window.MOVESMARTAI_CONFIG : {}
+);
+APP_CONFIG.environment = detectEnvironment();
+
+// EmailJS Configuration
+const EMAIL_CONFIG = {
+  publicKey: APP_CONFIG.emailjs.publicKey,
+  serviceId: APP_CONFIG.emailjs.serviceId,
+  templateId: APP_CONFIG.emailjs.templateId,
   
   // Rate limiting
   limitRate: {
@@ -22,21 +116,52 @@ const EMAIL_CONFIG = {
   
   // Fallback email service configuration
   fallback: {
-    // Using a reliable webhook service as fallback
-    webhookUrl: 'https://formspree.io/f/xnnqlrpv', // Replace with your webhook URL
-    enabled: true
+    webhookUrl: APP_CONFIG.webhook.url,
+    enabled: APP_CONFIG.webhook.enabled
+  }
+};
+
+// Reminder Delivery Configuration (see js/delivery.js)
+// Transports: 'emailjs', 'webhook', 'notification', and 'memory' (an in-memory outbox for testing).
+// During development, point webhook.url at a local stand-in server, or use ['memory'] to send nothing.
+const DELIVERY_CONFIG = {
+  // Tried in order until one succeeds
+  order: {
+    reminder: ['emailjs', 'webhook', 'notification'],
+    confirmation: ['emailjs', 'webhook'],
+    schedule: ['webhook'],               // Emails sent later by the service, at the reminder time
+    device: ['notification']             // On-device nudge when a reminder goes out from an open tab
+  },
+  
+  // Each transport is tried this many times, waiting baseDelay, then double, up to maxDelay
+  retry: {
+    attempts: 3,
+    baseDelay: 1000,
+    maxDelay: 8000
+  },
+  
+  webhook: {
+    url: APP_CONFIG.webhook.enabled ? APP_CONFIG.webhook.url : '',
+    scheduleHeader: APP_CONFIG.webhook.scheduleHeader,
+    timeout: 15000                       // Milliseconds to wait for an answer before trying again
   }
 };
 
 // Email Template Configuration
+// Rendered by js/templates.js into plain-text and HTML emails. Placeholders: {{title}}, {{date}}, {{time}},
+// {{duration}}, {{notes}}, {{siteUrl}}, {{scheduledOn}}. {{#notes}}...{{/notes}} only shows when there are notes.
+const EMAIL_SCHEDULE_INFO = '📅 Date: {{date}}\n⏰ Time: {{time}}\n⏱️ Duration: {{duration}} minutes{{#notes}}\n📝 Notes: {{notes}}{{/notes}}';
+
 const EMAIL_TEMPLATES = {
+  // Sent from the browser when a reminder is due
   reminder: {
     subject: '🏋️‍♀️ Workout Reminder: {{title}}',
     preheader: 'Time for your scheduled workout!',
     greeting: 'Hi there! 👋',
     mainMessage: 'This is your friendly reminder that your workout "{{title}}" is scheduled for:',
-    schedulingInfo: '📅 Date: {{date}}\n⏰ Time: {{time}}\n⏱️ Duration: {{duration}} minutes',
+    schedulingInfo: EMAIL_SCHEDULE_INFO,
     motivationalText: 'Time to get moving! 💪',
+    tipsIntro: 'Remember:',
     tips: [
       '• Find a comfortable space',
       '• Stay hydrated', 
@@ -44,7 +169,27 @@ const EMAIL_TEMPLATES = {
       '• Have fun with it!'
     ],
     signature: 'Best regards,\nYour MoveSmartAI Team',
-    footer: 'P.S. Visit https://margaretteee.github.io/MoveSmart-AI/ for more workouts!'
+    footer: 'P.S. Visit {{siteUrl}} for more workouts!'
+  },
+  
+  // Handed to the email service when the reminder is set, and sent by it at the reminder time
+  schedule: {
+    subject: '🏋️‍♀️ Workout Reminder: {{title}}',
+    preheader: 'Time for your scheduled workout!',
+    greeting: 'Hi there! 👋',
+    mainMessage: '🏋️‍♀️ WORKOUT REMINDER: {{title}}\n\nIt\'s time to get moving! Your workout is scheduled for:',
+    schedulingInfo: EMAIL_SCHEDULE_INFO,
+    tipsIntro: 'Ready to crush your workout? Here are some quick tips:',
+    tips: [
+      '💪 Find a comfortable space',
+      '💧 Stay hydrated',
+      '👂 Listen to your body',
+      '😊 Have fun with it!'
+    ],
+    closing: 'Let\'s make today amazing!',
+    signature: 'Best regards,\nYour MoveSmartAI Team',
+    footer: 'P.S. Visit {{siteUrl}} for more workouts!',
+    disclaimer: '---\nThis is an automated reminder from MoveSmartAI. You scheduled this reminder on {{scheduledOn}}.'
   },
   
   confirmation: {
@@ -52,17 +197,20 @@ const EMAIL_TEMPLATES = {
     preheader: 'Your workout reminder has been set up successfully!',
     greeting: 'Hi there! 👋',
     mainMessage: 'Your workout reminder has been set up successfully!',
-    schedulingInfo: '📅 Workout: {{title}}\n📅 Date: {{date}}\n⏰ Time: {{time}}\n⏱️ Duration: {{duration}} minutes',
-    motivationalText: 'Stay motivated and keep moving! 💪',
+    schedulingInfo: '📅 Workout: {{title}}\n' + EMAIL_SCHEDULE_INFO,
+    motivationalText: 'We\'ll send you a reminder email before your workout time.\n\nStay motivated and keep moving! 💪',
     signature: 'Best regards,\nYour MoveSmartAI Team'
   }
 };
 
 // Export configuration for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { EMAIL_CONFIG, EMAIL_TEMPLATES };
+  module.exports = { APP_CONFIG, EMAIL_CONFIG, DELIVERY_CONFIG, EMAIL_TEMPLATES, mergeConfig, validateConfig };
 } else {
   // For browser environment
+  window.APP_CONFIG = APP_CONFIG;
+  window.validateConfig = validateConfig;
   window.EMAIL_CONFIG = EMAIL_CONFIG;
+  window.DELIVERY_CONFIG = DELIVERY_CONFIG;
   window.EMAIL_TEMPLATES = EMAIL_TEMPLATES;
 }
\ No newline at end of file
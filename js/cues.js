@@ -0,0 +1,166 @@
+/**
+ * MoveSmartAI Timer Cues
+ * Generated beeps (Web Audio), vibration patterns and optional spoken cues for timer phases
+ */
+
+const TimerCues = {
+  storageKey: 'cues',
+
+  // Per-cue toggles (countdown, phase, complete) and per-channel toggles (vibrate, voice)
+  defaults: {
+    muted: false,
+    volume: 0.7,
+    countdown: true,
+    phase: true,
+    complete: true,
+    vibrate: true,
+    voice: false
+  },
+
+  // Tone sequences: [frequency Hz, length s, start offset s]
+  sounds: {
+    countdown: [[880, 0.12, 0]],
+    phase: [[660, 0.12, 0], [990, 0.18, 0.14]],
+    rest: [[520, 0.3, 0]],
+    complete: [[523, 0.15, 0], [659, 0.15, 0.17], [784, 0.35, 0.34]]
+  },
+
+  // navigator.vibrate patterns in ms
+  vibrations: {
+    countdown: [80],
+    phase: [200, 100, 200],
+    rest: [300],
+    complete: [300, 100, 300, 100, 600]
+  },
+
+  prefs: null,
+  audioContext: null,
+
+  /**
+   * Load saved preferences merged over the defaults
+   */
+  loadPrefs() {
+    try {
+      const saved = AppStore.get(this.storageKey, {});
+      this.prefs = { ...this.defaults, ...saved };
+    } catch (error) {
+      console.warn('Could not load cue preferences:', error);
+      this.prefs = { ...this.defaults };
+    }
+    return this.prefs;
+  },
+
+  /**
+   * Update and persist preferences
+   */
+  savePrefs(changes) {
+    this.prefs = { ...(this.prefs || this.loadPrefs()), ...changes };
+    this.prefs.volume = Math.min(1, Math.max(0, Number(this.prefs.volume) || 0));
+
+    try {
+      AppStore.set(this.storageKey, this.prefs);
+    } catch (error) {
+      console.warn('Could not save cue preferences:', error);
+    }
+    return this.prefs;
+  },
+
+  /**
+   * Create or resume the audio context; call from a user gesture (e.g. pressing Start)
+   */
+  unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      if (!this.audioContext) {
+        this.audioContext = new AudioContextClass();
+      }
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume().catch(error => console.warn('Could not resume audio:', error));
+      }
+    } catch (error) {
+      console.warn('Web Audio unavailable:', error);
+    }
+  },
+
+  /**
+   * Play a cue on every enabled channel
+   * @param {string} cue - 'countdown', 'phase', 'rest' or 'complete'
+   * @param {string} [spokenText] - Spoken when voice cues are enabled
+   */
+  play(cue, spokenText = '') {
+    const prefs = this.prefs || this.loadPrefs();
+    if (prefs.muted) return;
+
+    // Rest and work changes share the "phase" toggle
+    const toggle = cue === 'rest' ? 'phase' : cue;
+    if (!prefs[toggle]) return;
+
+    (this.sounds[cue] || []).forEach(([frequency, length, offset]) => {
+      this.beep(frequency, length, offset, prefs.volume);
+    });
+
+    if (prefs.vibrate && this.vibrations[cue] && 'vibrate' in navigator) {
+      navigator.vibrate(this.vibrations[cue]);
+    }
+
+    if (prefs.voice && spokenText) {
+      this.speak(spokenText, prefs.volume);
+    }
+  },
+
+  /**
+   * Play a single generated tone
+   */
+  beep(frequency, length, offset = 0, volume = 0.7) {
+    const context = this.audioContext;
+    if (!context || volume <= 0) return;
+
+    try {
+      const start = context.currentTime + offset;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(frequency, start);
+
+      // Short fade in/out avoids clicks
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3 * volume, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + length);
+
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + length + 0.02);
+    } catch (error) {
+      console.warn('Could not play beep:', error);
+    }
+  },
+
+  /**
+   * Speak a cue with speechSynthesis, replacing anything still queued
+   */
+  speak(text, volume = 0.7) {
+    if (!('speechSynthesis' in window) || typeof SpeechSynthesisUtterance === 'undefined') return;
+
+    try {
+      window.speechSynthesis.cancel();
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.volume = volume;
+      utterance.rate = 1.05;
+      window.speechSynthesis.speak(utterance);
+    } catch (error) {
+      console.warn('Could not speak cue:', error);
+    }
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimerCues };
+} else {
+  // For browser environment
+  window.TimerCues = TimerCues;
+}
@@ -0,0 +1,268 @@
+/**
+ * MoveSmartAI Reminder Delivery
+ * One way to send reminder messages through interchangeable transports (EmailJS, a webhook,
+ * browser notifications, or an in-memory outbox for testing), tried in a configurable order
+ * with retries and backoff
+ */
+
+const ReminderDelivery = {
+  // Overridden by DELIVERY_CONFIG (js/config.js) through configure()
+  config: {
+    // Transports tried in order, per kind of message, until one succeeds
+    order: {
+      reminder: ['emailjs', 'webhook', 'notification'],
+      confirmation: ['emailjs', 'webhook'],
+      schedule: ['webhook'],
+      device: ['notification']
+    },
+    retry: { attempts: 3, baseDelay: 1000, maxDelay: 8000 },
+    webhook: { url: '', scheduleHeader: null, timeout: 15000 }
+  },
+
+  transports: {},
+
+  /**
+   * Add a transport: { name, label, unavailable(message, options), send(message, options) }
+   *
+   * `unavailable` returns a reason the transport can't be used right now (or null);
+   * `send` resolves when the message is delivered and throws otherwise. Errors with
+   * `retryable === false` aren't retried.
+   */
+  register(transport) {
+    this.transports[transport.name] = transport;
+  },
+
+  /**
+   * Merge settings over the current config (order and retry are replaced per key)
+   */
+  configure(config = {}) {
+    const merged = { ...this.config, ...config };
+    merged.order = { ...this.config.order, ...(config.order || {}) };
+    merged.retry = { ...this.config.retry, ...(config.retry || {}) };
+    Object.keys(this.transports).forEach(name => {
+      if (config[name]) {
+        merged[name] = { ...(this.config[name] || {}), ...config[name] };
+      }
+    });
+    this.config = merged;
+    return this.config;
+  },
+
+  /**
+   * Send a message through the first transport that works
+   * @param {string} kind - 'reminder', 'confirmation', 'schedule' (send later, at message.sendAt) or 'device'
+   * @param {Object} message - { to, subject, text, html?, title, summary, sendAt?, fields? }
+   * @returns {Promise<Object>} Delivery result: { kind, ok, transport, attempts: [...], error, at }
+   */
+  async deliver(kind, message) {
+    const { attempts: maxAttempts } = this.config.retry;
+    const result = { kind, ok: false, transport: null, attempts: [], error: null, at: new Date().toISOString() };
+
+    for (const name of this.config.order[kind] || []) {
+      const transport = this.transports[name];
+      const options = this.config[name] || {};
+      let unavailable;
+      try {
+        unavailable = transport ? transport.unavailable(message, options) : 'Unknown transport';
+      } catch (error) {
+        // A transport that can't even tell whether it works is skipped like one that can't be used
+        unavailable = error.message || String(error);
+      }
+      if (unavailable) {
+        result.attempts.push({ transport: name, skipped: true, error: unavailable });
+        continue;
+      }
+
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+          await transport.send(message, options);
+          result.attempts.push({ transport: name, attempt, ok: true, at: new Date().toISOString() });
+          result.ok = true;
+          result.transport = name;
+          return result;
+        } catch (error) {
+          result.attempts.push({ transport: name, attempt, ok: false, error: error.message || String(error), at: new Date().toISOString() });
+          if (error.retryable === false || attempt === maxAttempts) break;
+          await this.wait(this.backoff(attempt));
+        }
+      }
+    }
+
+    result.error = result.attempts.length
+      ? result.attempts.map(entry => `${this.label(entry.transport)}: ${entry.error}`).join('; ')
+      : `No transports are set up for ${kind} messages`;
+    return result;
+  },
+
+  /**
+   * Delay before retry number `attempt` + 1: baseDelay, doubling up to maxDelay
+   */
+  backoff(attempt) {
+    const { baseDelay, maxDelay } = this.config.retry;
+    return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  },
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  },
+
+  label(name) {
+    return this.transports[name]?.label || name;
+  },
+
+  /**
+   * "Sent by EmailJS", "Sent by browser notification after 2 failed attempts", or the failure reasons
+   */
+  describe(result) {
+    if (!result.ok) {
+      return `Not delivered (${result.error})`;
+    }
+    const failed = result.attempts.filter(entry => entry.ok === false).length;
+    const retries = failed ? ` after ${failed} failed ${failed === 1 ? 'attempt' : 'attempts'}` : '';
+    return `Sent by ${this.label(result.transport)}${retries}`;
+  },
+
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  },
+
+  /**
+   * An error that retrying won't fix (bad address, blocked permission, ...)
+   */
+  permanent(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+};
+
+ReminderDelivery.register({
+  name: 'emailjs',
+  label: 'EmailJS',
+
+  unavailable(message) {
+    if (message.sendAt) return "Can't send at a later time";
+    if (typeof emailjs === 'undefined' || !window.EMAIL_CONFIG) return 'Not loaded';
+    if (ReminderDelivery.isOffline()) return 'Offline';
+    return null;
+  },
+
+  async send(message) {
+    try {
+      await emailjs.send(window.EMAIL_CONFIG.serviceId, window.EMAIL_CONFIG.templateId, {
+        to_email: message.to,
+        to_name: 'Fitness Enthusiast',
+        from_name: 'MoveSmartAI',
+        subject: message.subject,
+        message: message.text,
+        // For EmailJS templates that use {{{message_html}}}
+        message_html: message.html || ''
+      });
+    } catch (error) {
+      // EmailJS rejects with { status, text }; 4xx (except rate limiting) won't succeed on retry
+      const status = error && error.status;
+      const failure = new Error(status ? `${status} ${error.text || ''}`.trim() : (error && error.message) || 'Send failed');
+      failure.retryable = !(status >= 400 && status < 500 && status !== 429);
+      throw failure;
+    }
+  }
+});
+
+ReminderDelivery.register({
+  name: 'webhook',
+  label: 'Webhook',
+
+  unavailable(message, options) {
+    if (!options.url) return 'No webhook URL configured';
+    if (message.sendAt && !options.scheduleHeader) return "Can't send at a later time";
+    if (ReminderDelivery.isOffline()) return 'Offline';
+    return null;
+  },
+
+  async send(message, options) {
+    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    const payload = {
+      email: message.to,
+      subject: message.subject,
+      message: message.text,
+      _subject: message.subject,
+      _replyto: message.to,
+      ...(message.fields || {})
+    };
+    if (message.sendAt) {
+      headers[options.scheduleHeader] = message.sendAt;
+      payload.send_at = message.sendAt;
+    }
+
+    // A request that never answers counts as a failed attempt instead of holding up the reminder
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller && options.timeout ? setTimeout(() => controller.abort(), options.timeout) : null;
+    let response;
+    try {
+      response = await fetch(options.url, { method: 'POST', headers, body: JSON.stringify(payload), signal: controller?.signal });
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error(`No answer after ${options.timeout / 1000}s`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+  }
+});
+
+ReminderDelivery.register({
+  name: 'notification',
+  label: 'browser notification',
+
+  unavailable(message) {
+    if (message.sendAt) return "Can't send at a later time";
+    if (typeof Notification === 'undefined') return 'Not supported in this browser';
+    if (Notification.permission === 'denied') return 'Blocked in this browser';
+    return null;
+  },
+
+  async send(message) {
+    if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+      throw ReminderDelivery.permanent('Permission not given');
+    }
+    new Notification(message.title, { body: message.summary, icon: 'images/apple-touch-icon.svg' });
+  }
+});
+
+// For tests and local development: keeps messages in `outbox` instead of sending them
+ReminderDelivery.register({
+  name: 'memory',
+  label: 'test outbox',
+  outbox: [],
+
+  // Number of upcoming sends that fail, to exercise retries and fallbacks
+  failNext: 0,
+
+  unavailable() {
+    return null;
+  },
+
+  async send(message) {
+    if (this.failNext > 0) {
+      this.failNext--;
+      throw new Error('Simulated failure');
+    }
+    this.outbox.push({ ...message, deliveredAt: new Date().toISOString() });
+  },
+
+  clear() {
+    this.outbox = [];
+    this.failNext = 0;
+  }
+});
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReminderDelivery };
+} else {
+  // For browser environment
+  window.ReminderDelivery = ReminderDelivery;
+}
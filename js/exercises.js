@@ -0,0 +1,455 @@
+/**
+ * MoveSmartAI Exercise Library
+ * How to do every movement named on the workout, stretch and tip cards: step-by-step instructions,
+ * common mistakes, target body area, equipment and safety notes, with a slot for an illustration.
+ * Entries share their ids with EXERCISE_POOL in js/workouts.js, and #/exercises/<id> links to one.
+ */
+
+// Target body areas, in the order the library's filter offers them
+const BODY_AREAS = {
+  'full-body': 'Full body',
+  legs: 'Legs & glutes',
+  'upper-body': 'Chest & arms',
+  core: 'Core',
+  back: 'Back',
+  'neck-shoulders': 'Neck & shoulders',
+  hips: 'Hips'
+};
+
+const EQUIPMENT = {
+  none: 'No equipment',
+  chair: 'Chair',
+  wall: 'Wall',
+  mat: 'Mat or soft floor'
+};
+
+// `aliases` are other names the cards use, so custom routine exercises without an id still find
+// their entry; `illustration` is the path of a GIF or image once there is one (null shows a placeholder)
+const EXERCISE_LIBRARY = [
+  {
+    id: 'march-in-place',
+    name: 'March in place',
+    aliases: ['marching', 'march'],
+    bodyArea: 'full-body',
+    equipment: 'none',
+    instructions: [
+      'Stand tall with your arms relaxed by your sides.',
+      'Lift one knee towards hip height, then put that foot down and lift the other.',
+      'Swing your arms in time with your legs and keep a steady rhythm.'
+    ],
+    mistakes: ['Leaning back as the knee comes up', 'Stomping instead of landing softly', 'Holding your breath'],
+    safety: 'Keep the knees lower if your hips or balance feel unsteady; hold a chair back if you need to.',
+    illustration: null
+  },
+  {
+    id: 'chair-squat',
+    name: 'Chair squat / Squat',
+    aliases: ['squats', 'squat', 'chair squats', 'chair sit-to-stand', 'chair sit-stand', 'sit-to-stand'],
+    bodyArea: 'legs',
+    equipment: 'chair',
+    instructions: [
+      'Stand in front of a sturdy chair with your feet hip-width apart.',
+      'Push your hips back and bend your knees to lower until you touch the seat.',
+      'Press through your whole foot to stand up tall, squeezing your glutes at the top.'
+    ],
+    mistakes: ['Knees caving inwards', 'Heels lifting off the floor', 'Dropping onto the chair instead of controlling the descent'],
+    safety: 'Use a chair that will not slide, and only go as low as feels comfortable for your knees.',
+    illustration: null
+  },
+  {
+    id: 'wall-push-ups',
+    name: 'Wall push-ups',
+    aliases: ['wall push-up'],
+    bodyArea: 'upper-body',
+    equipment: 'wall',
+    instructions: [
+      'Stand an arm\'s length from a wall and place your hands on it at shoulder height.',
+      'Keep your body in a straight line and bend your elbows to bring your chest towards the wall.',
+      'Push back to straight arms without locking your elbows.'
+    ],
+    mistakes: ['Letting the hips sag or stick out', 'Flaring the elbows straight out to the sides', 'Only moving the head towards the wall'],
+    safety: 'Wear shoes or stand on a non-slip surface so your feet do not slide away from the wall.',
+    illustration: null
+  },
+  {
+    id: 'incline-push-ups',
+    name: 'Incline push-ups (wall/table)',
+    aliases: ['incline push-ups', 'incline push-up'],
+    bodyArea: 'upper-body',
+    equipment: 'wall',
+    instructions: [
+      'Place your hands shoulder-width apart on a wall, sturdy table or desk.',
+      'Walk your feet back until your body makes a straight line from head to heels.',
+      'Lower your chest to the edge with control, then press back up.'
+    ],
+    mistakes: ['Sagging through the lower back', 'Hands too far forward of the shoulders', 'Rushing the lowering phase'],
+    safety: 'Check that the table or desk cannot tip or slide before leaning your weight on it.',
+    illustration: null
+  },
+  {
+    id: 'glute-bridges',
+    name: 'Glute bridges',
+    aliases: ['glute bridge', 'bridges'],
+    bodyArea: 'legs',
+    equipment: 'mat',
+    instructions: [
+      'Lie on your back with your knees bent and feet flat, hip-width apart.',
+      'Press through your heels to lift your hips until your body is straight from shoulders to knees.',
+      'Squeeze your glutes at the top for a moment, then lower slowly.'
+    ],
+    mistakes: ['Arching the lower back at the top', 'Pushing through the toes instead of the heels', 'Letting the knees fall outwards'],
+    safety: 'Stop if you feel it in your lower back rather than your glutes; lift a little less high.',
+    illustration: null
+  },
+  {
+    id: 'reverse-lunges',
+    name: 'Reverse lunges (or step-backs)',
+    aliases: ['reverse lunges', 'reverse lunge', 'step-backs', 'lunges'],
+    bodyArea: 'legs',
+    equipment: 'none',
+    instructions: [
+      'Stand tall with your feet hip-width apart, holding a chair back if you want support.',
+      'Step one foot back and bend both knees, lowering the back knee towards the floor.',
+      'Push through the front heel to return to standing, then switch legs.'
+    ],
+    mistakes: ['Front knee drifting past the toes or inwards', 'Leaning the chest far forward', 'Taking too short a step back'],
+    safety: 'Keep the movement small (a step-back) if your knees complain or your balance is shaky.',
+    illustration: null
+  },
+  {
+    id: 'dead-bug',
+    name: 'Dead bug (core)',
+    aliases: ['dead bug'],
+    bodyArea: 'core',
+    equipment: 'mat',
+    instructions: [
+      'Lie on your back with your arms pointing at the ceiling and knees bent at 90° above your hips.',
+      'Press your lower back gently into the floor.',
+      'Slowly lower your right arm behind you and straighten your left leg towards the floor, then return and switch sides.'
+    ],
+    mistakes: ['Lower back lifting off the floor', 'Moving too fast', 'Holding your breath'],
+    safety: 'Only lower the arm and leg as far as you can while keeping your back flat.',
+    illustration: null
+  },
+  {
+    id: 'plank',
+    name: 'Plank (knees if needed)',
+    aliases: ['plank', 'knee plank'],
+    bodyArea: 'core',
+    equipment: 'mat',
+    instructions: [
+      'Place your forearms on the floor with your elbows under your shoulders.',
+      'Step your feet back (or rest on your knees) so your body makes a straight line.',
+      'Brace your stomach and glutes and breathe steadily while you hold.'
+    ],
+    mistakes: ['Hips sagging towards the floor', 'Hips piked up high', 'Looking forward and straining the neck'],
+    safety: 'Drop to your knees as soon as your form slips; a shorter good plank beats a long saggy one.',
+    illustration: null
+  },
+  {
+    id: 'step-touch',
+    name: 'Step-touch / march',
+    aliases: ['step-touch', 'step touch'],
+    bodyArea: 'full-body',
+    equipment: 'none',
+    instructions: [
+      'Step your right foot out to the side and bring your left foot in to touch beside it.',
+      'Step back the other way and keep going side to side.',
+      'Add arm swings or small claps to raise your heart rate.'
+    ],
+    mistakes: ['Staying flat-footed and stiff', 'Looking down at your feet'],
+    safety: 'Clear a little space around you first so you do not catch furniture.',
+    illustration: null
+  },
+  {
+    id: 'standing-stretch',
+    name: 'Standing stretch + deep breaths',
+    aliases: ['stretch + breathe', 'standing stretch'],
+    bodyArea: 'full-body',
+    equipment: 'none',
+    instructions: [
+      'Stand tall and reach both arms overhead as you breathe in.',
+      'Lean gently to one side, then the other, breathing out as you stretch.',
+      'Finish with slow breaths, arms by your sides.'
+    ],
+    mistakes: ['Shrugging the shoulders up to the ears', 'Rushing the breathing'],
+    safety: 'Keep it gentle; the aim is to relax after moving, not to push range.',
+    illustration: null
+  },
+  {
+    id: 'deep-breathing',
+    name: 'Deep breathing',
+    aliases: ['deep breaths', 'breathe'],
+    bodyArea: 'full-body',
+    equipment: 'none',
+    instructions: [
+      'Sit or stand tall with your shoulders relaxed.',
+      'Breathe in through your nose for about 4 seconds, letting your belly expand.',
+      'Breathe out slowly through your mouth for about 4 seconds.'
+    ],
+    mistakes: ['Lifting the shoulders on each breath', 'Breathing so fast you feel light-headed'],
+    safety: 'Go back to normal breathing if you feel dizzy.',
+    illustration: null
+  },
+  {
+    id: 'shoulder-rolls',
+    name: 'Shoulder rolls',
+    aliases: ['roll shoulders', 'shoulder roll'],
+    bodyArea: 'neck-shoulders',
+    equipment: 'none',
+    instructions: [
+      'Sit or stand tall with your arms relaxed.',
+      'Lift your shoulders up towards your ears, roll them back, then down.',
+      'Repeat in a slow circle, then reverse the direction.'
+    ],
+    mistakes: ['Making tiny, rushed circles', 'Poking the chin forward'],
+    safety: 'Keep the circles pain-free; make them smaller if anything clicks or pinches.',
+    illustration: null
+  },
+  {
+    id: 'neck-side-stretch',
+    name: 'Neck side stretch',
+    aliases: ['neck stretch'],
+    bodyArea: 'neck-shoulders',
+    equipment: 'none',
+    instructions: [
+      'Sit tall and let your shoulders drop.',
+      'Tilt your right ear towards your right shoulder until you feel a stretch on the left side of your neck.',
+      'Hold and breathe, then come back to the middle and switch sides.'
+    ],
+    mistakes: ['Lifting the shoulder to meet the ear', 'Pulling hard on the head with your hand'],
+    safety: 'Move slowly and never force it; stop if you feel tingling or pain down the arm.',
+    illustration: null
+  },
+  {
+    id: 'upper-trap-stretch',
+    name: 'Upper trap stretch',
+    aliases: ['trap stretch'],
+    bodyArea: 'neck-shoulders',
+    equipment: 'chair',
+    instructions: [
+      'Sit tall and hold the side of your chair seat with your right hand.',
+      'Tilt your head to the left and turn your nose slightly down towards your left armpit.',
+      'Hold and breathe, then switch sides.'
+    ],
+    mistakes: ['Leaning the whole body away instead of tilting the head', 'Shrugging the anchored shoulder'],
+    safety: 'A light hand on the head is enough to deepen it; never yank.',
+    illustration: null
+  },
+  {
+    id: 'chest-opener',
+    name: 'Chest opener',
+    aliases: [],
+    bodyArea: 'upper-body',
+    equipment: 'none',
+    instructions: [
+      'Stand or sit tall and clasp your hands behind your back (or hold a towel).',
+      'Straighten your arms and gently lift your chest, drawing your shoulder blades together.',
+      'Hold and breathe into your chest.'
+    ],
+    mistakes: ['Arching the lower back to lift the hands', 'Jutting the chin forward'],
+    safety: 'Skip the clasp and just squeeze your shoulder blades together if your shoulders are tight.',
+    illustration: null
+  },
+  {
+    id: 'cat-cow',
+    name: 'Cat-cow',
+    aliases: ['cat cow'],
+    bodyArea: 'back',
+    equipment: 'mat',
+    instructions: [
+      'Start on hands and knees, wrists under shoulders and knees under hips.',
+      'Breathe in as you drop your belly and lift your chest and tailbone (cow).',
+      'Breathe out as you round your back towards the ceiling and tuck your chin (cat).'
+    ],
+    mistakes: ['Moving only the neck, not the spine', 'Rushing through the reps'],
+    safety: 'Put a folded towel under your knees if the floor is hard.',
+    illustration: null
+  },
+  {
+    id: 'childs-pose',
+    name: "Child's pose",
+    aliases: ['childs pose'],
+    bodyArea: 'back',
+    equipment: 'mat',
+    instructions: [
+      'Kneel with your big toes together and knees apart.',
+      'Sit your hips back towards your heels and walk your hands forward.',
+      'Rest your forehead down and breathe slowly into your back.'
+    ],
+    mistakes: ['Forcing the hips down to the heels', 'Tensing the shoulders'],
+    safety: 'Place a cushion between your hips and heels if your knees feel strained.',
+    illustration: null
+  },
+  {
+    id: 'seated-twist',
+    name: 'Seated twist',
+    aliases: ['twist'],
+    bodyArea: 'back',
+    equipment: 'chair',
+    instructions: [
+      'Sit tall towards the front of your chair with your feet flat.',
+      'Breathe in to lengthen your spine, then breathe out and turn your chest to the right, holding the chair back.',
+      'Hold, come back to the middle and twist to the left.'
+    ],
+    mistakes: ['Slumping while twisting', 'Cranking the neck further than the chest'],
+    safety: 'Twist from the middle of your back and keep it gentle; do not bounce.',
+    illustration: null
+  },
+  {
+    id: 'forward-fold',
+    name: 'Forward fold (gentle)',
+    aliases: ['forward fold'],
+    bodyArea: 'back',
+    equipment: 'none',
+    instructions: [
+      'Stand with your feet hip-width apart and knees softly bent.',
+      'Hinge at your hips and let your upper body hang towards the floor.',
+      'Let your head and arms relax, then roll up slowly one vertebra at a time.'
+    ],
+    mistakes: ['Locking the knees', 'Bouncing to reach further', 'Standing up too quickly'],
+    safety: 'Come up slowly to avoid feeling dizzy, and bend your knees more if your back complains.',
+    illustration: null
+  },
+  {
+    id: 'hip-flexor-stretch',
+    name: 'Hip flexor stretch',
+    aliases: ['hip flexor'],
+    bodyArea: 'hips',
+    equipment: 'mat',
+    instructions: [
+      'Kneel on your right knee with your left foot flat in front of you.',
+      'Tuck your tailbone under and gently shift your hips forward until you feel the front of your right hip stretch.',
+      'Hold, then switch sides.'
+    ],
+    mistakes: ['Arching the lower back', 'Lunging too far forward instead of tucking the pelvis'],
+    safety: 'Pad the kneeling knee, or do it standing in a split stance.',
+    illustration: null
+  },
+  {
+    id: 'hamstring-stretch',
+    name: 'Hamstring stretch',
+    aliases: ['hamstring'],
+    bodyArea: 'legs',
+    equipment: 'chair',
+    instructions: [
+      'Sit on the edge of a chair and straighten one leg out in front with the heel on the floor.',
+      'Keep your back straight and hinge forward from the hips until you feel the back of the thigh.',
+      'Hold, then switch legs.'
+    ],
+    mistakes: ['Rounding the back to reach the toes', 'Locking the straight knee'],
+    safety: 'You should feel a stretch, not pain behind the knee; ease off if you do.',
+    illustration: null
+  },
+  {
+    id: 'standing-quad-stretch',
+    name: 'Standing quad stretch',
+    aliases: ['quad stretch'],
+    bodyArea: 'legs',
+    equipment: 'wall',
+    instructions: [
+      'Stand tall holding a wall or chair for balance.',
+      'Bend one knee and hold that ankle behind you, knees side by side.',
+      'Gently tuck your hips under to feel the front of the thigh, hold, then switch.'
+    ],
+    mistakes: ['Letting the knee drift out to the side', 'Arching the lower back', 'Locking the standing knee'],
+    safety: 'Keep the supporting leg slightly bent, and use a strap or towel if you cannot reach your ankle.',
+    illustration: null
+  },
+  {
+    id: 'figure-4-glute-stretch',
+    name: 'Figure-4 glute stretch',
+    aliases: ['figure-4', 'figure 4 stretch'],
+    bodyArea: 'hips',
+    equipment: 'chair',
+    instructions: [
+      'Sit tall on a chair and cross your right ankle over your left knee.',
+      'Keep your back straight and lean forward from the hips until you feel the right glute stretch.',
+      'Hold, then switch sides.'
+    ],
+    mistakes: ['Rounding the back to lean further', 'Pushing down hard on the raised knee'],
+    safety: 'Flex the raised foot to protect your knee, and skip it if you have knee pain.',
+    illustration: null
+  },
+  {
+    id: 'brisk-walk',
+    name: 'Brisk walk',
+    aliases: ['walk briskly', 'walk'],
+    bodyArea: 'full-body',
+    equipment: 'none',
+    instructions: [
+      'Walk at a pace where you can talk but not sing.',
+      'Swing your arms and stand tall, looking ahead.',
+      'No space? Step-touch on the spot for the same time.'
+    ],
+    mistakes: ['Looking down at your phone', 'Shuffling with short steps'],
+    safety: 'Watch for stairs and traffic, and wear shoes that grip.',
+    illustration: null
+  }
+];
+
+/**
+ * Looking up, searching and filtering library entries
+ */
+const ExerciseLibrary = {
+  bodyAreas: BODY_AREAS,
+  equipment: EQUIPMENT,
+  entries: EXERCISE_LIBRARY,
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  },
+
+  /**
+   * The entry for an exercise in a routine: by its pool id, otherwise by name
+   */
+  forExercise(exercise) {
+    return (exercise.id && this.get(exercise.id)) || this.findByName(exercise.name);
+  },
+
+  /**
+   * Entry whose name or an alias matches, ignoring case, e.g. "Squats" or "Neck side stretch"
+   */
+  findByName(name) {
+    const wanted = this.normalize(name);
+    if (!wanted) return null;
+    return this.entries.find(entry => [entry.name, ...entry.aliases].some(candidate => this.normalize(candidate) === wanted)) || null;
+  },
+
+  /**
+   * Entries matching a search (name, aliases, body area or equipment) and a body area ('' for all)
+   */
+  search(query = '', bodyArea = '') {
+    const words = this.normalize(query).split(' ').filter(Boolean);
+
+    return this.entries.filter(entry => {
+      if (bodyArea && entry.bodyArea !== bodyArea) return false;
+
+      const text = this.normalize([entry.name, ...entry.aliases, this.bodyAreas[entry.bodyArea], this.equipment[entry.equipment]].join(' '));
+      return words.every(word => text.includes(word));
+    });
+  },
+
+  /**
+   * Easier and harder versions from the workout difficulty levels, when the exercise has them
+   */
+  variants(id) {
+    const pooled = typeof EXERCISE_POOL !== 'undefined' ? EXERCISE_POOL.find(item => item.id === id) : null;
+    return (pooled && pooled.variants) || null;
+  },
+
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9-]+/g, ' ').trim();
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BODY_AREAS, EQUIPMENT, EXERCISE_LIBRARY, ExerciseLibrary };
+} else {
+  // For browser environment
+  window.BODY_AREAS = BODY_AREAS;
+  window.EQUIPMENT = EQUIPMENT;
+  window.EXERCISE_LIBRARY = EXERCISE_LIBRARY;
+  window.ExerciseLibrary = ExerciseLibrary;
+}
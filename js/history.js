@@ -0,0 +1,165 @@
+/**
+ * MoveSmartAI Session Log
+ * Persistent record of workouts, stretches and challenges, plus streak and weekly stats
+ */
+
+const SessionLog = {
+  // Kept in AppStore, whose keys the Botpress reset script in index.html leaves alone
+  storageKey: 'sessions',
+
+  // Minutes needed on a day to reach each heatmap intensity level (1-4)
+  heatmapLevels: [1, 5, 10, 20],
+
+  /**
+   * Load all logged sessions, oldest first
+   */
+  load() {
+    try {
+      const entries = AppStore.get(this.storageKey, []);
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.warn('Could not load session log:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Append a session to the log
+   * @param {Object} session - { type, title, startedAt, durationSeconds, plannedSeconds, status }
+   */
+  add(session) {
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type: session.type,
+      title: session.title,
+      startedAt: session.startedAt || new Date().toISOString(),
+      endedAt: new Date().toISOString(),
+      durationSeconds: Math.max(0, Math.round(session.durationSeconds || 0)),
+      plannedSeconds: Math.round(session.plannedSeconds || 0),
+      status: session.status === 'completed' ? 'completed' : 'partial'
+    };
+
+    try {
+      const entries = this.load();
+      entries.push(entry);
+      AppStore.set(this.storageKey, entries);
+    } catch (error) {
+      console.warn('Could not save session to log:', error);
+    }
+
+    return entry;
+  },
+
+  /**
+   * Local calendar day key (YYYY-MM-DD) for a date
+   */
+  dayKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+
+  /**
+   * Seconds moved per local day, keyed by dayKey()
+   */
+  dailyTotals(entries) {
+    return entries.reduce((totals, entry) => {
+      const key = this.dayKey(entry.startedAt);
+      totals[key] = (totals[key] || 0) + entry.durationSeconds;
+      return totals;
+    }, {});
+  },
+
+  /**
+   * Consecutive days with at least one session, ending today (or yesterday if nothing logged yet today)
+   */
+  currentStreak(entries, now = new Date()) {
+    const totals = this.dailyTotals(entries);
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (!totals[this.dayKey(cursor)]) {
+      cursor.setDate(cursor.getDate() - 1);
+    }
+
+    let streak = 0;
+    while (totals[this.dayKey(cursor)]) {
+      streak++;
+      cursor.setDate(cursor.getDate() - 1);
+    }
+    return streak;
+  },
+
+  /**
+   * Longest run of consecutive active days in the whole log
+   */
+  longestStreak(entries) {
+    const days = Object.keys(this.dailyTotals(entries)).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    days.forEach(key => {
+      const [year, month, day] = key.split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+      const expected = previous ? new Date(previous.getFullYear(), previous.getMonth(), previous.getDate() + 1) : null;
+
+      run = expected && this.dayKey(expected) === key ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    });
+
+    return longest;
+  },
+
+  /**
+   * Start of the week (Monday, local midnight) containing the given date
+   */
+  startOfWeek(now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const offset = (start.getDay() + 6) % 7;
+    start.setDate(start.getDate() - offset);
+    return start;
+  },
+
+  /**
+   * Whole minutes moved since the start of this week
+   */
+  minutesThisWeek(entries, now = new Date()) {
+    const weekStart = this.startOfWeek(now).getTime();
+    const seconds = entries
+      .filter(entry => new Date(entry.startedAt).getTime() >= weekStart)
+      .reduce((sum, entry) => sum + entry.durationSeconds, 0);
+    return Math.round(seconds / 60);
+  },
+
+  /**
+   * Calendar heatmap cells for the last `weeks` weeks, one column per week (Monday first)
+   */
+  heatmap(entries, weeks = 12, now = new Date()) {
+    const totals = this.dailyTotals(entries);
+    const today = this.dayKey(now);
+    const start = this.startOfWeek(now);
+    start.setDate(start.getDate() - (weeks - 1) * 7);
+
+    const cells = [];
+    for (let i = 0; i < weeks * 7; i++) {
+      const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+      const key = this.dayKey(date);
+      const minutes = Math.round((totals[key] || 0) / 60);
+      const active = Boolean(totals[key]);
+      const level = active ? Math.max(1, this.heatmapLevels.filter(threshold => minutes >= threshold).length) : 0;
+
+      cells.push({ date: key, minutes, level, future: key > today });
+    }
+    return cells;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SessionLog };
+} else {
+  // For browser environment
+  window.SessionLog = SessionLog;
+}
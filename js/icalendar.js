@@ -0,0 +1,151 @@
+/**
+ * MoveSmartAI iCalendar Export
+ * Builds RFC 5545 .ics files (one or many events) that Google Calendar, Apple Calendar,
+ * Outlook and Thunderbird all import: escaped text, lines folded at 75 octets, stable UIDs
+ */
+
+const ICalendar = {
+  prodId: '-//MoveSmartAI//Workout Reminders//EN',
+  uidDomain: 'movesmartai.app',
+
+  /**
+   * A whole calendar file
+   * @param {Array<Object>} events - See event()
+   * @param {Object} [options]
+   * @param {string} [options.name] - Calendar name shown by apps that support it
+   * @returns {string} CRLF-separated, folded text
+   */
+  calendar(events, { name = null } = {}) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${this.prodId}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    }
+
+    // One VTIMEZONE per zone the events use, with the rules of the earliest event's year
+    const zones = new Map();
+    events.filter(event => event.timeZone).forEach(event => {
+      const year = event.start.getFullYear();
+      zones.set(event.timeZone, Math.min(zones.get(event.timeZone) ?? year, year));
+    });
+    if (typeof TimeZones !== 'undefined') {
+      zones.forEach((year, timeZone) => lines.push(...TimeZones.toVTimezone(timeZone, year)));
+    }
+
+    events.forEach(event => lines.push(...this.event(event)));
+    lines.push('END:VCALENDAR');
+    return `${lines.map(line => this.fold(line)).join('\r\n')}\r\n`;
+  },
+
+  /**
+   * VEVENT lines
+   * @param {Object} event
+   * @param {string} event.uid - Stable across exports, so importing again updates instead of duplicating
+   * @param {Date} event.start
+   * @param {Date} event.end
+   * @param {string} [event.timeZone] - IANA zone for DTSTART/DTEND (UTC when missing)
+   * @param {string} event.summary
+   * @param {string} [event.description]
+   * @param {string} [event.location]
+   * @param {Array<string>} [event.categories]
+   * @param {Array<string>} [event.recurrence] - RRULE / EXDATE lines (see Recurrence.toICS)
+   * @param {number} [event.alarmMinutes] - Show an alert this long before the start
+   */
+  event({ uid, start, end, timeZone = null, summary, description = '', location = '', categories = [], recurrence = [], alarmMinutes = null }) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this.formatUtc(new Date())}`,
+      this.dateProperty('DTSTART', start, timeZone),
+      this.dateProperty('DTEND', end, timeZone),
+      `SUMMARY:${this.escapeText(summary)}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${this.escapeText(location)}`);
+    if (categories.length) lines.push(`CATEGORIES:${categories.map(category => this.escapeText(category)).join(',')}`);
+    lines.push('STATUS:CONFIRMED', 'TRANSP:OPAQUE', ...recurrence);
+
+    if (alarmMinutes !== null) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${this.escapeText(summary)}`, `TRIGGER:-PT${alarmMinutes}M`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+    return lines;
+  },
+
+  /**
+   * "DTSTART;TZID=Europe/London:20260101T090000", or UTC "DTSTART:20260101T090000Z"
+   */
+  dateProperty(name, date, timeZone) {
+    return timeZone && typeof TimeZones !== 'undefined'
+      ? `${name};TZID=${timeZone}:${this.formatLocal(date, timeZone)}`
+      : `${name}:${this.formatUtc(date)}`;
+  },
+
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * Wall-clock "20260101T090000" in a zone
+   */
+  formatLocal(date, timeZone) {
+    const wall = TimeZones.wallTime(date, timeZone);
+    return `${wall.date.replace(/-/g, '')}T${wall.time.replace(':', '')}${String(wall.seconds).padStart(2, '0')}`;
+  },
+
+  /**
+   * UID from something that identifies the event (a reminder id), the same on every export
+   */
+  uid(key) {
+    // FNV-1a keeps ids from other sources short and free of characters calendars dislike
+    let hash = 0x811c9dc5;
+    for (const char of String(key)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${hash.toString(36)}-${String(key).replace(/[^\w-]/g, '').slice(0, 40)}@${this.uidDomain}`;
+  },
+
+  /**
+   * Escape TEXT values: backslashes, semicolons, commas and newlines
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Fold a line into chunks of at most 75 octets, never splitting a UTF-8 character
+   */
+  fold(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards their 75
+      const limit = chunks.length ? 74 : 75;
+      if (size + bytes > limit) {
+        chunks.push(chunk);
+        chunk = '';
+        size = 0;
+      }
+      chunk += char;
+      size += bytes;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ICalendar };
+} else {
+  // For browser environment
+  window.ICalendar = ICalendar;
+}
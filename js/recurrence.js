@@ -0,0 +1,220 @@
+/**
+ * MoveSmartAI Reminder Recurrence
+ * Repeat rules (daily or weekly on chosen days, an end date or count, skipped dates) shared by
+ * the reminder scheduler and the calendar export, so both agree on when a reminder happens
+ *
+ * A rule with a timeZone repeats at the same wall-clock time in that zone (with js/timezones.js),
+ * so a weekly 18:00 session stays at 18:00 after daylight saving changes.
+ */
+
+const Recurrence = {
+  frequencies: ['none', 'daily', 'weekly'],
+  maxCount: 365,
+
+  // iCalendar BYDAY codes, indexed like Date#getDay()
+  dayCodes: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'],
+  dayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+  // Stops a rule with no end from being walked forever
+  searchDays: 3 * 366,
+
+  /**
+   * The rule stored on a reminder (or read from the reminder form)
+   * @param {Object} reminder - { date, repeat, repeatDays?, repeatUntil?, repeatCount?, exceptions?, timeZone? }
+   * @returns {Object} { freq, days, until, count, exceptions, timeZone }
+   */
+  fromReminder(reminder) {
+    const freq = this.frequencies.includes(reminder.repeat) ? reminder.repeat : 'none';
+    const days = Array.isArray(reminder.repeatDays) && reminder.repeatDays.length
+      ? [...new Set(reminder.repeatDays.map(Number))].sort()
+      : [this.parseDate(reminder.date).getDay()];
+
+    return {
+      freq,
+      days: freq === 'weekly' ? days : [],
+      until: reminder.repeatUntil ?? null,
+      count: reminder.repeatCount == null ? null : Number(reminder.repeatCount),
+      exceptions: Array.isArray(reminder.exceptions) ? [...reminder.exceptions].sort() : [],
+      timeZone: reminder.timeZone || null
+    };
+  },
+
+  isRepeating(rule) {
+    return rule.freq !== 'none';
+  },
+
+  /**
+   * List every problem with a rule as a human-readable message (empty when valid)
+   * @param {Object} rule
+   * @param {string} startDate - 'YYYY-MM-DD' of the first occurrence
+   */
+  validate(rule, startDate) {
+    const errors = [];
+    if (!this.isRepeating(rule)) return errors;
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(this.parseDate(value));
+
+    if (rule.freq === 'weekly' && !rule.days.length) {
+      errors.push('Pick at least one day for a weekly reminder.');
+    }
+    if (rule.until !== null && !isDate(rule.until)) {
+      errors.push('Pick the last date this reminder repeats.');
+    } else if (rule.until !== null && rule.until < startDate) {
+      errors.push('The last date must be on or after the first reminder.');
+    }
+    if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > this.maxCount)) {
+      errors.push(`A reminder can repeat 1–${this.maxCount} times.`);
+    }
+    if (rule.exceptions.some(date => !isDate(date))) {
+      errors.push('One of the skipped dates is not a valid date.');
+    }
+    return errors;
+  },
+
+  /**
+   * Every occurrence the rule generates, in order, including skipped dates
+   * (as in iCalendar, where COUNT includes dates later removed by EXDATE)
+   * @param {Date} start - First date and time of the series
+   * @yields {Date}
+   */
+  *generate(start, rule) {
+    if (!this.isRepeating(rule)) {
+      yield new Date(start);
+      return;
+    }
+
+    const { date: startDate, time } = this.wallTime(start, rule.timeZone);
+    let generated = 0;
+    for (let offset = 0; offset <= this.searchDays; offset++) {
+      const day = this.parseDate(startDate);
+      day.setDate(day.getDate() + offset);
+      const key = this.dateKey(day);
+
+      if (rule.until && key > rule.until) return;
+      if (rule.freq === 'weekly' && !rule.days.includes(day.getDay())) continue;
+
+      yield this.at(key, time, rule.timeZone);
+      generated++;
+      if (rule.count && generated >= rule.count) return;
+    }
+  },
+
+  /**
+   * First occurrence after a moment, leaving out skipped dates
+   * @returns {Date|null} null when the series has ended
+   */
+  next(start, rule, after) {
+    for (const date of this.generate(start, rule)) {
+      if (date > after && !rule.exceptions.includes(this.dateKey(date, rule.timeZone))) {
+        return date;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * First real occurrence of a series (a weekly rule may not include the start date's weekday)
+   */
+  first(start, rule) {
+    return this.next(start, rule, new Date(start.getTime() - 1));
+  },
+
+  /**
+   * RRULE and EXDATE lines for an event whose DTSTART is `first(start, rule)`
+   * @param {Function} formatDate - How the calendar writes the event's date-times (e.g. "20260101T090000"
+   *   in the rule's time zone, or UTC "20260101T090000Z")
+   * @param {Function} [formatUtc] - UTC date-times, which UNTIL has to be in when DTSTART has a time zone
+   * @returns {Array<string>} Empty for a one-off reminder
+   */
+  toICS(start, rule, formatDate, formatUtc = formatDate) {
+    if (!this.isRepeating(rule)) return [];
+
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.freq === 'weekly') {
+      parts.push(`BYDAY=${rule.days.map(day => this.dayCodes[day]).join(',')}`);
+    }
+    if (rule.count) {
+      parts.push(`COUNT=${rule.count}`);
+    } else if (rule.until) {
+      // Inclusive: the whole end date counts
+      parts.push(`UNTIL=${formatUtc(this.at(rule.until, '23:59:59', rule.timeZone))}`);
+    }
+
+    const lines = [`RRULE:${parts.join(';')}`];
+    const { time } = this.wallTime(start, rule.timeZone);
+    const skipped = rule.exceptions.map(date => formatDate(this.at(date, time, rule.timeZone)));
+    if (skipped.length) {
+      lines.push(`EXDATE${rule.timeZone ? `;TZID=${rule.timeZone}` : ''}:${skipped.join(',')}`);
+    }
+    return lines;
+  },
+
+  /**
+   * "Daily", "Weekly on Mon, Wed until 30 Nov", "Daily, 10 times, 2 dates skipped"
+   */
+  describe(rule) {
+    if (!this.isRepeating(rule)) return 'Once';
+
+    let text = rule.freq === 'daily'
+      ? 'Daily'
+      : `Weekly on ${rule.days.map(day => this.dayNames[day]).join(', ')}`;
+    if (rule.count) {
+      text += `, ${rule.count} ${rule.count === 1 ? 'time' : 'times'}`;
+    } else if (rule.until) {
+      text += ` until ${this.parseDate(rule.until).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+    }
+    if (rule.exceptions.length) {
+      text += `, ${rule.exceptions.length} ${rule.exceptions.length === 1 ? 'date' : 'dates'} skipped`;
+    }
+    return text;
+  },
+
+  /**
+   * 'YYYY-MM-DD' for a date, in a time zone or local time
+   */
+  dateKey(date, timeZone = null) {
+    return this.wallTime(date, timeZone).date;
+  },
+
+  /**
+   * { date: 'YYYY-MM-DD', time: 'HH:MM' } of an instant, in a time zone or local time
+   */
+  wallTime(date, timeZone = null) {
+    if (timeZone && typeof TimeZones !== 'undefined') {
+      return TimeZones.wallTime(date, timeZone);
+    }
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+    };
+  },
+
+  /**
+   * The instant of a 'YYYY-MM-DD' date at an 'HH:MM' time, in a time zone or local time
+   */
+  at(date, time, timeZone = null) {
+    if (timeZone && typeof TimeZones !== 'undefined') {
+      return TimeZones.toInstant(date, time, timeZone);
+    }
+    const day = this.parseDate(date);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes, seconds);
+  },
+
+  /**
+   * Local midnight on a 'YYYY-MM-DD' date
+   */
+  parseDate(value) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Recurrence };
+} else {
+  // For browser environment
+  window.Recurrence = Recurrence;
+}
@@ -0,0 +1,202 @@
+/**
+ * MoveSmartAI Scheduled Reminders
+ * Every workout reminder the user has set, how it's delivered and what happened to it
+ */
+
+const ScheduledReminders = {
+  storageKey: 'reminders',
+
+  // Finished reminders stay listed this long so delivery failures can be seen
+  keepDays: 30,
+
+  // Delivery attempts remembered per reminder, most recent last
+  keepDeliveries: 10,
+
+  channels: {
+    'email-service': 'Email via the scheduling service',
+    'email-browser': 'Email from this browser (keep MoveSmartAI open)'
+  },
+
+  statuses: {
+    pending: 'Setting up',
+    scheduled: 'Scheduled',
+    queued: 'With the email service',
+    sent: 'Sent',
+    failed: 'Failed',
+    missed: 'Missed',
+    cancelled: 'Cancelled'
+  },
+
+  /**
+   * Load all reminders, upgrading entries saved before reminders had ids and statuses
+   */
+  load() {
+    try {
+      const reminders = AppStore.get(this.storageKey, []);
+      return Array.isArray(reminders) ? reminders.map(reminder => this.normalize(reminder)) : [];
+    } catch (error) {
+      console.warn('Could not load scheduled reminders:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Find a reminder by id
+   */
+  get(id) {
+    return this.load().find(reminder => reminder.id === id) || null;
+  },
+
+  /**
+   * Add a reminder, or replace the one with the same id
+   * @returns {Object} The saved reminder
+   */
+  save(input) {
+    const now = new Date().toISOString();
+    const reminders = this.load();
+    const index = reminders.findIndex(existing => existing.id === input.id);
+    const reminder = this.normalize({
+      ...(index === -1 ? {} : reminders[index]),
+      ...input,
+      id: input.id || this.createId(),
+      updatedAt: now
+    });
+
+    if (index === -1) {
+      reminders.push(reminder);
+    } else {
+      reminders[index] = reminder;
+    }
+    this.persist(reminders);
+    return reminder;
+  },
+
+  createId() {
+    return `reminder-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  /**
+   * Change some fields of a saved reminder
+   * @returns {Object|null} The updated reminder, or null when there's no such reminder
+   */
+  update(id, changes) {
+    return this.get(id) ? this.save({ ...changes, id }) : null;
+  },
+
+  /**
+   * A copy of a reminder with a delivery result (from ReminderDelivery.deliver) added to its record
+   */
+  addDelivery(reminder, result) {
+    const deliveries = [...(reminder.deliveries || []), result].slice(-this.keepDeliveries);
+    return { ...reminder, deliveries };
+  },
+
+  /**
+   * Save a delivery result for a saved reminder, along with any status changes
+   * @returns {Object|null} The updated reminder
+   */
+  recordDelivery(id, result, changes = {}) {
+    const reminder = this.get(id);
+    return reminder ? this.save({ ...this.addDelivery(reminder, result), ...changes, id }) : null;
+  },
+
+  /**
+   * Record a delivery result for a reminder still being set up by the same attempt (`setup` is
+   * the token it was saved with), along with any status changes
+   * @returns {Object|null} The updated reminder, or null when it was cancelled or edited since
+   */
+  recordSetup(id, setup, result, changes = {}) {
+    const reminder = this.get(id);
+    if (!reminder || reminder.status !== 'pending' || reminder.setup !== setup) return null;
+    return this.save({ ...this.addDelivery(reminder, result), ...changes, id });
+  },
+
+  /**
+   * Delete a reminder from the list
+   */
+  remove(id) {
+    this.persist(this.load().filter(reminder => reminder.id !== id));
+  },
+
+  /**
+   * Still waiting to be sent: soonest first
+   */
+  upcoming(now = new Date()) {
+    return this.load()
+      .filter(reminder => this.isUpcoming(reminder, now))
+      .sort((a, b) => new Date(a.reminderDateTime) - new Date(b.reminderDateTime));
+  },
+
+  /**
+   * Sent, failed, missed or cancelled: most recent first
+   */
+  past(now = new Date()) {
+    return this.load()
+      .filter(reminder => !this.isUpcoming(reminder, now))
+      .sort((a, b) => new Date(b.reminderDateTime) - new Date(a.reminderDateTime));
+  },
+
+  isUpcoming(reminder, now = new Date()) {
+    if (reminder.status === 'scheduled' || reminder.status === 'pending') return true;
+    return reminder.status === 'queued' && new Date(reminder.reminderDateTime) > now;
+  },
+
+  /**
+   * Forget finished reminders older than keepDays
+   */
+  prune(now = new Date()) {
+    const cutoff = now.getTime() - this.keepDays * 86400000;
+    const reminders = this.load();
+    const kept = reminders.filter(reminder =>
+      this.isUpcoming(reminder, now) || new Date(reminder.reminderDateTime).getTime() >= cutoff);
+
+    if (kept.length !== reminders.length) {
+      this.persist(kept);
+    }
+  },
+
+  /**
+   * Fill in fields missing from older entries ({ email, title, workoutDateTime, reminderDateTime, ... })
+   */
+  normalize(reminder) {
+    const workout = new Date(reminder.workoutDateTime);
+    const pad = value => String(value).padStart(2, '0');
+
+    return {
+      repeat: 'none',
+      repeatDays: [],
+      repeatUntil: null,
+      repeatCount: null,
+      exceptions: [],
+      notes: '',
+      channel: 'email-browser',
+      status: 'scheduled',
+      error: null,
+      deliveries: [],
+      // Entries saved before reminders had a zone were in this device's time
+      timeZone: typeof TimeZones !== 'undefined' ? TimeZones.current() : null,
+      createdAt: reminder.scheduled || new Date().toISOString(),
+      date: `${workout.getFullYear()}-${pad(workout.getMonth() + 1)}-${pad(workout.getDate())}`,
+      time: `${pad(workout.getHours())}:${pad(workout.getMinutes())}`,
+      reminderMinutes: Math.round((workout - new Date(reminder.reminderDateTime)) / 60000),
+      ...reminder,
+      id: reminder.id || `reminder-${new Date(reminder.scheduled || reminder.reminderDateTime).getTime().toString(36)}`
+    };
+  },
+
+  persist(reminders) {
+    try {
+      AppStore.set(this.storageKey, reminders);
+    } catch (error) {
+      console.warn('Could not save scheduled reminders:', error);
+    }
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ScheduledReminders };
+} else {
+  // For browser environment
+  window.ScheduledReminders = ScheduledReminders;
+}
@@ -0,0 +1,139 @@
+/**
+ * MoveSmartAI Hash Router
+ * Maps #/paths (e.g. #/workouts, #/stretches/hips-legs) to views and keeps them in sync with browser history
+ */
+
+class HashRouter {
+  /**
+   * @param {Array} routes - [{ path: '/stretches/:item', view: 'stretches', action? }], matched in order
+   * @param {Object} handlers
+   * @param {Function} handlers.onRoute - Called with { view, action, params, path } whenever the route changes
+   * @param {Function} [handlers.onNotFound] - Called with the path when nothing matches
+   */
+  constructor(routes, { onRoute, onNotFound = null }) {
+    this.routes = routes.map(route => ({
+      ...route,
+      segments: this.split(route.path)
+    }));
+    this.onRoute = onRoute;
+    this.onNotFound = onNotFound;
+    this.current = null;
+
+    this.handleHashChange = this.handleHashChange.bind(this);
+  }
+
+  /**
+   * Listen for back/forward and link clicks, and show the view for the current URL
+   */
+  start() {
+    window.addEventListener('hashchange', this.handleHashChange);
+    this.resolve(HashRouter.pathFromHash(window.location.hash) || '/');
+  }
+
+  stop() {
+    window.removeEventListener('hashchange', this.handleHashChange);
+  }
+
+  /**
+   * Go to a path, adding a history entry (or replacing the current one)
+   * @param {string} path - e.g. '/stretches/hips-legs'
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+   * @param {boolean} [options.silent] - With replace, only update the URL and leave the view as it is
+   */
+  navigate(path, { replace = false, silent = false } = {}) {
+    const hash = HashRouter.hashFor(path);
+
+    if (replace) {
+      window.history.replaceState(null, document.title, hash);
+      if (silent) {
+        this.current = this.match(path);
+      } else {
+        this.resolve(path);
+      }
+    } else if (window.location.hash === hash) {
+      // Same URL: no hashchange fires, but the view should still respond
+      this.resolve(path);
+    } else {
+      window.location.hash = hash;
+    }
+  }
+
+  /**
+   * Find the route for a path (or a #/ hash)
+   * @returns {Object|null} { view, action, params, path }
+   */
+  match(path) {
+    const clean = HashRouter.pathFromHash(path) || path;
+    const segments = this.split(clean);
+
+    for (const route of this.routes) {
+      if (route.segments.length !== segments.length) continue;
+
+      const params = {};
+      let matched;
+      try {
+        matched = route.segments.every((segment, index) => {
+          if (segment.startsWith(':')) {
+            params[segment.slice(1)] = decodeURIComponent(segments[index]);
+            return true;
+          }
+          return segment === segments[index];
+        });
+      } catch (error) {
+        // A malformed escape (a hand-typed or cut-off link like #/stretches/%E0) matches nothing
+        console.warn(`Could not read the link "${clean}":`, error);
+        return null;
+      }
+
+      if (matched) {
+        return { view: route.view, action: route.action || null, params, path: clean };
+      }
+    }
+    return null;
+  }
+
+  resolve(path) {
+    const route = this.match(path);
+    if (!route) {
+      if (this.onNotFound) this.onNotFound(path);
+      return;
+    }
+
+    this.current = route;
+    this.onRoute(route);
+  }
+
+  /**
+   * Other hashes (#fresh, #routine=..., in-page anchors) aren't routes and are left alone
+   */
+  handleHashChange() {
+    const path = HashRouter.pathFromHash(window.location.hash);
+    if (path !== null) {
+      this.resolve(path);
+    }
+  }
+
+  split(path) {
+    return path.split('/').filter(Boolean);
+  }
+
+  /**
+   * '#/stretches/hips-legs' -> '/stretches/hips-legs'; null for hashes that aren't routes
+   */
+  static pathFromHash(hash) {
+    return hash && hash.startsWith('#/') ? hash.slice(1) : null;
+  }
+
+  static hashFor(path) {
+    return `#${path.startsWith('/') ? path : `/${path}`}`;
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HashRouter };
+} else {
+  // For browser environment
+  window.HashRouter = HashRouter;
+}
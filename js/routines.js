@@ -0,0 +1,379 @@
+/**
+ * MoveSmartAI Custom Routines
+ * Saved user-built routines, stored in the same shape as WORKOUT_ROUTINES so they run through the same timer
+ */
+
+const CustomRoutines = {
+  storageKey: 'routines',
+
+  // Limits enforced by the builder and on save
+  limits: {
+    titleLength: 60,
+    exercises: 20,
+    rounds: 10,
+    reps: 100,
+    seconds: 600,
+    rest: 300
+  },
+
+  // Rough time per rep, used only to estimate how long a routine takes
+  secondsPerRep: 3,
+
+  /**
+   * Load all saved routines, oldest first
+   */
+  load() {
+    try {
+      const routines = AppStore.get(this.storageKey, []);
+      return Array.isArray(routines) ? routines : [];
+    } catch (error) {
+      console.warn('Could not load custom routines:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Find a saved routine by id
+   */
+  get(id) {
+    return this.load().find(routine => routine.id === id) || null;
+  },
+
+  /**
+   * Validate and save a routine (adds a new one, or replaces the one with the same id)
+   * @param {Object} input - { id?, title, rounds, rest, restBetweenRounds, exercises: [{ id?, name, reps?, work? }] }
+   * @returns {Object} The saved routine
+   * @throws {Error} With every validation problem in the message
+   */
+  save(input) {
+    const errors = this.validate(input);
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const routine = this.normalize(input);
+    const routines = this.load();
+    const index = routines.findIndex(existing => existing.id === routine.id);
+    if (index === -1) {
+      routines.push(routine);
+    } else {
+      routines[index] = routine;
+    }
+
+    AppStore.set(this.storageKey, routines);
+    return routine;
+  },
+
+  /**
+   * Delete a saved routine
+   */
+  remove(id) {
+    const routines = this.load().filter(routine => routine.id !== id);
+    try {
+      AppStore.set(this.storageKey, routines);
+    } catch (error) {
+      console.warn('Could not delete custom routine:', error);
+    }
+  },
+
+  /**
+   * List every problem with a routine as a human-readable message (empty when valid)
+   */
+  validate(input) {
+    const errors = [];
+    const { limits } = this;
+
+    if (!input || typeof input !== 'object') {
+      return ['Routine data is missing or not an object.'];
+    }
+
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) {
+      errors.push('Give your routine a name.');
+    } else if (title.length > limits.titleLength) {
+      errors.push(`Routine names can be at most ${limits.titleLength} characters.`);
+    }
+
+    const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!isWhole(Number(input.rounds), 1, limits.rounds)) {
+      errors.push(`Rounds must be a whole number from 1 to ${limits.rounds}.`);
+    }
+    if (!isWhole(Number(input.rest ?? 0), 0, limits.rest)) {
+      errors.push(`Rest between exercises must be 0–${limits.rest} seconds.`);
+    }
+    if (!isWhole(Number(input.restBetweenRounds ?? 0), 0, limits.rest)) {
+      errors.push(`Rest between rounds must be 0–${limits.rest} seconds.`);
+    }
+
+    if (!Array.isArray(input.exercises) || !input.exercises.length) {
+      errors.push('Add at least one exercise.');
+      return errors;
+    }
+    if (input.exercises.length > limits.exercises) {
+      errors.push(`A routine can have at most ${limits.exercises} exercises.`);
+    }
+
+    input.exercises.forEach((exercise, index) => {
+      const label = `Exercise ${index + 1}`;
+      if (!exercise || typeof exercise.name !== 'string' || !exercise.name.trim()) {
+        errors.push(`${label} needs a name.`);
+        return;
+      }
+
+      // Both together (as in some built-in routines) means a rep target inside a timed window
+      const hasReps = exercise.reps !== undefined && exercise.reps !== null;
+      const hasWork = exercise.work !== undefined && exercise.work !== null;
+      if (!hasReps && !hasWork) {
+        errors.push(`${label} (${exercise.name}) needs either reps or seconds.`);
+      }
+      if (hasReps && !isWhole(Number(exercise.reps), 1, limits.reps)) {
+        errors.push(`${label} (${exercise.name}) reps must be 1–${limits.reps}.`);
+      }
+      if (hasWork && !isWhole(Number(exercise.work), 5, limits.seconds)) {
+        errors.push(`${label} (${exercise.name}) seconds must be 5–${limits.seconds}.`);
+      }
+    });
+
+    return errors;
+  },
+
+  /**
+   * Convert builder input into the WORKOUT_ROUTINES shape
+   */
+  normalize(input) {
+    return {
+      id: input.id || `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: input.title.trim(),
+      custom: true,
+      rounds: Number(input.rounds),
+      restBetweenRounds: Number(input.restBetweenRounds || 0),
+      // No default work window: rep-based exercises wait for a "done" tap
+      defaults: { rest: Number(input.rest || 0) },
+      exercises: input.exercises.map(exercise => {
+        const normalized = { name: exercise.name.trim() };
+        if (exercise.id) normalized.id = exercise.id;
+        if (exercise.reps !== undefined && exercise.reps !== null) {
+          normalized.reps = Number(exercise.reps);
+        }
+        if (exercise.work !== undefined && exercise.work !== null) {
+          normalized.work = Number(exercise.work);
+        }
+        return normalized;
+      }),
+      updatedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Estimated length in seconds, counting rep-based exercises at secondsPerRep
+   */
+  estimateSeconds(routine) {
+    const steps = WorkoutSteps.build(routine);
+    return steps.reduce((sum, step) => sum + (step.manual ? step.reps * this.secondsPerRep : step.duration), 0);
+  }
+};
+
+/**
+ * Moving routines in and out of the app: JSON files and compact #routine= links
+ */
+const RoutineShare = {
+  format: 'movesmartai-routine',
+  version: 1,
+
+  // Shared links look like index.html#routine=<payload>
+  hashPrefix: '#routine=',
+
+  /**
+   * Plain builder input for any routine (built-in or custom), with each exercise's
+   * work window spelled out so it doesn't depend on routine defaults
+   */
+  toPortable(routine) {
+    const defaults = routine.defaults || {};
+
+    return {
+      title: routine.title,
+      rounds: routine.rounds || 1,
+      rest: defaults.rest || 0,
+      restBetweenRounds: routine.restBetweenRounds || 0,
+      exercises: routine.exercises.map(exercise => {
+        const portable = { name: exercise.name };
+        if (exercise.id) portable.id = exercise.id;
+        if (exercise.reps) portable.reps = exercise.reps;
+
+        const work = exercise.work ?? defaults.work;
+        if (work != null) portable.work = work;
+        return portable;
+      })
+    };
+  },
+
+  /**
+   * Routine as a downloadable JSON document
+   */
+  toJSON(routine) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      routine: this.toPortable(routine)
+    }, null, 2);
+  },
+
+  /**
+   * File name for an exported routine
+   */
+  fileName(routine) {
+    const slug = routine.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'routine';
+    return `MoveSmartAI-Routine-${slug}.json`;
+  },
+
+  /**
+   * Read an exported JSON file (or a bare routine object) back into builder input
+   * @throws {Error} With a readable explanation, one problem per line
+   */
+  parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("This file isn't valid JSON, so it can't be a MoveSmartAI routine.");
+    }
+
+    if (data && typeof data === 'object' && data.format !== undefined) {
+      if (data.format !== this.format) {
+        throw new Error("This file isn't a MoveSmartAI routine export.");
+      }
+      this.checkVersion(data.version);
+      data = data.routine;
+    }
+
+    return this.check(data);
+  },
+
+  /**
+   * Compact, URL-safe payload for a #routine= link
+   *
+   * The payload is base64url JSON of [version, title, rounds, rest, restBetweenRounds, exercises],
+   * where each exercise is [name or pool id, reps, work] and 0 means "not set".
+   */
+  encode(routine) {
+    const portable = this.toPortable(routine);
+    const pool = typeof EXERCISE_POOL !== 'undefined' ? EXERCISE_POOL : [];
+
+    const exercises = portable.exercises.map(exercise => {
+      const pooled = pool.find(item => item.id === exercise.id && item.name === exercise.name);
+      return [pooled ? pooled.id : exercise.name, exercise.reps || 0, exercise.work || 0];
+    });
+
+    const compact = [this.version, portable.title, portable.rounds, portable.rest, portable.restBetweenRounds, exercises];
+    return this.toBase64Url(JSON.stringify(compact));
+  },
+
+  /**
+   * Read a #routine= payload back into builder input
+   * @throws {Error} With a readable explanation, one problem per line
+   */
+  decode(payload) {
+    const damaged = 'This routine link is incomplete or damaged. Ask whoever shared it to send it again.';
+
+    let compact;
+    try {
+      compact = JSON.parse(this.fromBase64Url(payload));
+    } catch (error) {
+      throw new Error(damaged);
+    }
+    if (!Array.isArray(compact) || compact.length < 6 || !Array.isArray(compact[5])) {
+      throw new Error(damaged);
+    }
+
+    const [version, title, rounds, rest, restBetweenRounds, exercises] = compact;
+    this.checkVersion(version);
+
+    const pool = typeof EXERCISE_POOL !== 'undefined' ? EXERCISE_POOL : [];
+    return this.check({
+      title,
+      rounds,
+      rest,
+      restBetweenRounds,
+      exercises: exercises.map(entry => {
+        if (!Array.isArray(entry)) return null;
+
+        const [label, reps, work] = entry;
+        const pooled = pool.find(item => item.id === label);
+        const exercise = pooled ? { id: pooled.id, name: pooled.name } : { name: label };
+        if (reps) exercise.reps = reps;
+        if (work) exercise.work = work;
+        return exercise;
+      })
+    });
+  },
+
+  /**
+   * Full shareable URL for a routine
+   */
+  linkFor(routine, baseUrl = window.location.href) {
+    return `${baseUrl.split('#')[0]}${this.hashPrefix}${this.encode(routine)}`;
+  },
+
+  /**
+   * The payload from a location hash, or null when it isn't a routine link
+   */
+  payloadFromHash(hash) {
+    return hash && hash.startsWith(this.hashPrefix) ? hash.slice(this.hashPrefix.length) : null;
+  },
+
+  /**
+   * Reject data from a newer (or unknown) format version
+   */
+  checkVersion(version) {
+    if (version !== this.version) {
+      throw new Error(Number(version) > this.version
+        ? 'This routine was shared from a newer version of MoveSmartAI. Refresh the page and try again.'
+        : "This routine's format version isn't recognised.");
+    }
+  },
+
+  /**
+   * Validate imported data with the same rules as the builder
+   */
+  check(input) {
+    const errors = CustomRoutines.validate(input);
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+
+    // Keep only the fields the builder knows about (never a routine id from another device)
+    return {
+      title: input.title,
+      rounds: input.rounds,
+      rest: input.rest ?? 0,
+      restBetweenRounds: input.restBetweenRounds ?? 0,
+      exercises: input.exercises.map(({ id, name, reps, work }) => ({ id, name, reps, work }))
+    };
+  },
+
+  toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  fromBase64Url(payload) {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CustomRoutines, RoutineShare };
+} else {
+  // For browser environment
+  window.CustomRoutines = CustomRoutines;
+  window.RoutineShare = RoutineShare;
+}
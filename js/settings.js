@@ -0,0 +1,98 @@
+/**
+ * MoveSmartAI Settings
+ * App-wide preferences that don't belong to one feature: theme, default reminder lead time and units.
+ * Sound and break interval are kept by TimerCues and MovementBreaks; the Settings view edits all of them.
+ */
+
+const UserSettings = {
+  storageKey: 'settings',
+
+  defaults: {
+    theme: 'system',            // 'light', 'dark' or 'system' (see js/theme.js)
+    reminderMinutes: 30,        // How long before a workout new reminders go off
+    units: 'metric'
+  },
+
+  // Lead times offered by the reminder form
+  reminderMinutes: [15, 30, 60, 120, 1440],
+
+  units: {
+    metric: 'Metric (kg, km)',
+    imperial: 'Imperial (lb, mi)'
+  },
+
+  settings: null,
+
+  /**
+   * Load saved settings merged over the defaults
+   */
+  load() {
+    try {
+      const settings = { ...this.defaults, ...AppStore.get(this.storageKey, {}) };
+      // A value that's no longer valid falls back to its default instead of blocking every save
+      Object.keys(this.defaults).forEach(name => {
+        if (this.validate({ ...this.defaults, [name]: settings[name] }).length) {
+          settings[name] = this.defaults[name];
+        }
+      });
+      this.settings = settings;
+    } catch (error) {
+      console.warn('Could not load settings:', error);
+      this.settings = { ...this.defaults };
+    }
+    return this.settings;
+  },
+
+  /**
+   * The current value of one setting
+   */
+  get(name) {
+    return (this.settings || this.load())[name];
+  },
+
+  /**
+   * Validate, update and persist settings
+   * @throws {Error} With every validation problem in the message
+   */
+  save(changes) {
+    const settings = { ...(this.settings || this.load()), ...changes };
+    const errors = this.validate(settings);
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+
+    this.settings = settings;
+    try {
+      AppStore.set(this.storageKey, settings);
+    } catch (error) {
+      console.warn('Could not save settings:', error);
+    }
+    return settings;
+  },
+
+  /**
+   * List every problem with a set of settings as a human-readable message (empty when valid)
+   */
+  validate(settings) {
+    const errors = [];
+
+    if (typeof ThemeManager !== 'undefined' && !ThemeManager.modes.includes(settings.theme)) {
+      errors.push(`Theme must be one of: ${ThemeManager.modes.join(', ')}.`);
+    }
+    if (!this.reminderMinutes.includes(Number(settings.reminderMinutes))) {
+      errors.push('Choose how long before a workout reminders should go off.');
+    }
+    if (!Object.keys(this.units).includes(settings.units)) {
+      errors.push(`Units must be one of: ${Object.keys(this.units).join(', ')}.`);
+    }
+    return errors;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { UserSettings };
+} else {
+  // For browser environment
+  window.UserSettings = UserSettings;
+}
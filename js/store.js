@@ -0,0 +1,173 @@
+/**
+ * MoveSmartAI Data Store
+ * All saved app data lives in localStorage under one namespace ("movesmartai:<name>", JSON values),
+ * with a schema version and the migrations that bring data saved by older versions up to date.
+ *
+ * The Botpress reset scripts in index.html leave every key in the namespace alone (see owns()).
+ */
+
+const AppStore = {
+  namespace: 'movesmartai:',
+
+  // Bump and add a migration whenever the shape of saved data changes
+  schemaVersion: 1,
+
+  // Holds { schemaVersion, migratedAt }
+  metaName: 'meta',
+
+  // What each saved name holds, for screens that list the user's data
+  collections: {
+    settings: 'Settings',
+    reminderForm: 'Last reminder details',
+    reminders: 'Scheduled reminders',
+    routines: 'Custom routines',
+    sessions: 'Session log',
+    breaks: 'Movement breaks',
+    cues: 'Sound & vibration',
+    levels: 'Workout levels',
+    timers: 'Sessions in progress'
+  },
+
+  /**
+   * Steps from one schema version to the next, in order; each runs once
+   */
+  migrations: [
+    {
+      version: 1,
+      description: 'Move the separate movesmartai_* keys into the namespace',
+      up(store) {
+        const legacy = {
+          movesmartai_reminder_prefs: 'reminderForm',
+          movesmartai_scheduled_reminders: 'reminders',
+          movesmartai_custom_routines: 'routines',
+          movesmartai_session_log: 'sessions',
+          movesmartai_break_reminders: 'breaks',
+          movesmartai_cue_prefs: 'cues',
+          movesmartai_active_timers: 'timers'
+        };
+
+        Object.entries(legacy).forEach(([key, name]) => {
+          const raw = localStorage.getItem(key);
+          if (raw === null) return;
+          try {
+            store.set(name, JSON.parse(raw));
+          } catch (error) {
+            console.warn(`Dropping unreadable ${key}:`, error);
+          }
+          localStorage.removeItem(key);
+        });
+
+        // The theme was a plain string, and the reminder lead time was whatever the last reminder used
+        const settings = store.get('settings', {});
+        const theme = localStorage.getItem('movesmartai_theme');
+        if (theme && !settings.theme) {
+          settings.theme = theme;
+        }
+        localStorage.removeItem('movesmartai_theme');
+
+        const reminderForm = store.get('reminderForm', null);
+        if (reminderForm && reminderForm.reminderMinutes) {
+          settings.reminderMinutes = settings.reminderMinutes || reminderForm.reminderMinutes;
+          delete reminderForm.reminderMinutes;
+          store.set('reminderForm', reminderForm);
+        }
+        store.set('settings', settings);
+      }
+    }
+  ],
+
+  key(name) {
+    return `${this.namespace}${name}`;
+  },
+
+  /**
+   * Whether a localStorage key belongs to the store
+   */
+  owns(key) {
+    return typeof key === 'string' && key.startsWith(this.namespace);
+  },
+
+  /**
+   * A saved value, or `fallback` when there isn't one
+   * @throws {SyntaxError} When the saved value isn't valid JSON
+   */
+  get(name, fallback = null) {
+    const raw = localStorage.getItem(this.key(name));
+    return raw === null ? fallback : JSON.parse(raw);
+  },
+
+  /**
+   * Save a value (throws when storage is full or blocked)
+   */
+  set(name, value) {
+    localStorage.setItem(this.key(name), JSON.stringify(value));
+  },
+
+  remove(name) {
+    localStorage.removeItem(this.key(name));
+  },
+
+  /**
+   * Names of everything saved in the namespace, except the schema metadata
+   */
+  names() {
+    const names = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (this.owns(key) && key !== this.key(this.metaName)) {
+        names.push(key.slice(this.namespace.length));
+      }
+    }
+    return names.sort();
+  },
+
+  /**
+   * Schema version of the saved data (0 before the first migration)
+   */
+  version() {
+    try {
+      const meta = this.get(this.metaName, {});
+      return Number(meta.schemaVersion) || 0;
+    } catch (error) {
+      return 0;
+    }
+  },
+
+  /**
+   * Run every migration newer than the saved data, recording the version after each one
+   * so a failure resumes from the step that failed on the next load
+   * @returns {number} The schema version the data is at afterwards
+   */
+  migrate() {
+    let version = this.version();
+    if (version > this.schemaVersion) {
+      console.warn(`Saved data is from a newer MoveSmartAI (schema ${version}), leaving it as it is`);
+      return version;
+    }
+
+    const pending = this.migrations
+      .filter(migration => migration.version > version && migration.version <= this.schemaVersion)
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      try {
+        migration.up(this);
+        version = migration.version;
+        this.set(this.metaName, { schemaVersion: version, migratedAt: new Date().toISOString() });
+        console.log(`🗄️ Data migrated to schema ${version}: ${migration.description}`);
+      } catch (error) {
+        console.error(`Data migration to schema ${migration.version} failed:`, error);
+        break;
+      }
+    }
+    return version;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AppStore };
+} else {
+  // For browser environment
+  window.AppStore = AppStore;
+}
@@ -0,0 +1,104 @@
+/**
+ * MoveSmartAI Email Templates
+ * Renders EMAIL_TEMPLATES (js/config.js) into the subject, plain-text and HTML versions of an email
+ *
+ * Template strings support:
+ *   {{title}}                      a value (dotted paths like {{workout.name}} work too)
+ *   {{#notes}}Notes: {{notes}}{{/notes}}   only when the value is present (repeated for each item of a list)
+ *   {{^notes}}No notes{{/notes}}   only when the value is missing or empty
+ *   {{.}}                          the current item inside a list section
+ */
+
+const TemplateEngine = {
+  // Parts of an email, in the order they appear; each is optional
+  sections: ['greeting', 'mainMessage', 'schedulingInfo', 'motivationalText', 'tips', 'closing', 'signature', 'footer', 'disclaimer'],
+
+  /**
+   * Fill in a template string
+   * @param {string} source
+   * @param {Object} data
+   * @param {Function} [escape] - Applied to every inserted value (e.g. escapeHtml)
+   */
+  render(source, data, escape = value => value) {
+    const withSections = source.replace(/{{([#^])([\w.]+)}}([\s\S]*?){{\/\2}}/g, (match, type, name, inner) => {
+      const value = this.lookup(data, name);
+      const present = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+      if (type === '^') {
+        return present ? '' : this.render(inner, data, escape);
+      }
+      if (!present) return '';
+      if (Array.isArray(value)) {
+        return value.map(item => this.render(inner, { ...data, '.': item }, escape)).join('');
+      }
+      return this.render(inner, data, escape);
+    });
+
+    return withSections.replace(/{{\s*([\w.]+|\.)\s*}}/g, (match, name) => {
+      const value = this.lookup(data, name);
+      return value === undefined || value === null ? '' : escape(String(value));
+    });
+  },
+
+  /**
+   * Render a whole email template
+   * @param {Object} template - An entry of EMAIL_TEMPLATES
+   * @param {Object} data - Values for the placeholders
+   * @returns {Object} { subject, preheader, text, html }
+   */
+  renderEmail(template, data) {
+    const text = [];
+    const html = [];
+    const escapeHtml = value => this.escapeHtml(value);
+    const paragraph = source => this.render(source, data, escapeHtml).replace(/\n/g, '<br>');
+
+    this.sections.forEach(section => {
+      if (section === 'tips') {
+        const tips = (template.tips || []).map(tip => this.render(tip, data)).filter(Boolean);
+        if (!tips.length) return;
+
+        const intro = template.tipsIntro ? this.render(template.tipsIntro, data) : '';
+        text.push([intro, ...tips].filter(Boolean).join('\n'));
+        html.push(`${intro ? `<p>${paragraph(template.tipsIntro)}</p>` : ''}<ul style="list-style: none; padding: 0;">${
+          template.tips.map(tip => paragraph(tip)).filter(Boolean).map(tip => `<li>${tip}</li>`).join('')}</ul>`);
+        return;
+      }
+
+      const rendered = template[section] ? this.render(template[section], data).trim() : '';
+      if (!rendered) return;
+      text.push(rendered);
+      html.push(`<p>${paragraph(template[section]).trim()}</p>`);
+    });
+
+    const preheader = template.preheader ? this.render(template.preheader, data) : '';
+    return {
+      subject: this.render(template.subject || '', data),
+      preheader,
+      text: text.join('\n\n'),
+      html: `<div style="font-family: Arial, sans-serif; line-height: 1.5;">${
+        preheader ? `<span style="display: none;">${this.escapeHtml(preheader)}</span>` : ''}${html.join('')}</div>`
+    };
+  },
+
+  lookup(data, name) {
+    if (name === '.') return data['.'];
+    return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  },
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TemplateEngine };
+} else {
+  // For browser environment
+  window.TemplateEngine = TemplateEngine;
+}
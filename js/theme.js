@@ -0,0 +1,120 @@
+/**
+ * MoveSmartAI Theme Manager
+ * Light, dark or system (follow the device) theme, remembered between visits as the `theme` setting.
+ *
+ * The inline script in index.html's <head> applies the saved theme before the first paint;
+ * this module keeps it up to date afterwards and announces every change with a
+ * `movesmartai:themechange` event ({ detail: { mode, theme } }) on window.
+ */
+
+const ThemeManager = {
+  eventName: 'movesmartai:themechange',
+
+  modes: ['light', 'dark', 'system'],
+
+  labels: {
+    light: 'Light',
+    dark: 'Dark',
+    system: 'System'
+  },
+
+  icons: {
+    light: '☀️',
+    dark: '🌙',
+    system: '🌓'
+  },
+
+  // Browser UI colour (meta theme-color) for each theme: the brand blue from index.html and the
+  // manifest in light, --color-background in dark
+  chromeColors: {
+    light: '#2563eb',
+    dark: '#0f172a'
+  },
+
+  mode: 'system',
+  theme: 'light',
+  media: null,
+
+  /**
+   * Apply the saved mode and follow the device setting while in system mode
+   */
+  init() {
+    this.media = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    this.media?.addEventListener?.('change', () => {
+      if (this.mode === 'system') this.apply('system');
+    });
+
+    // Another tab changed the theme
+    window.addEventListener('storage', (event) => {
+      if (event.key === AppStore.key(UserSettings.storageKey)) this.apply(this.load());
+    });
+
+    return this.apply(this.load());
+  },
+
+  load() {
+    const saved = UserSettings.load().theme;
+    return this.modes.includes(saved) ? saved : 'system';
+  },
+
+  /**
+   * Choose a mode and remember it
+   * @throws {Error} For an unknown mode
+   */
+  set(mode) {
+    if (!this.modes.includes(mode)) {
+      throw new Error(`Theme must be one of: ${this.modes.join(', ')}.`);
+    }
+    UserSettings.save({ theme: mode });
+    return this.apply(mode);
+  },
+
+  /**
+   * Light → dark → system → light
+   */
+  cycle() {
+    return this.set(this.nextMode());
+  },
+
+  nextMode(mode = this.mode) {
+    return this.modes[(this.modes.indexOf(mode) + 1) % this.modes.length];
+  },
+
+  /**
+   * 'light' or 'dark' for a mode
+   */
+  resolve(mode) {
+    if (mode !== 'system') return mode;
+    return this.media && this.media.matches ? 'dark' : 'light';
+  },
+
+  /**
+   * Put a mode on the page and announce it when the theme or mode changed
+   * @returns {Object} { mode, theme }
+   */
+  apply(mode) {
+    const theme = this.resolve(mode);
+    const root = document.documentElement;
+    const changed = mode !== root.dataset.themeMode || theme !== root.dataset.theme;
+
+    this.mode = mode;
+    this.theme = theme;
+    root.dataset.theme = theme;
+    root.dataset.themeMode = mode;
+    root.style.colorScheme = theme;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', this.chromeColors[theme]);
+
+    if (changed) {
+      window.dispatchEvent(new CustomEvent(this.eventName, { detail: { mode, theme } }));
+    }
+    return { mode, theme };
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ThemeManager };
+} else {
+  // For browser environment
+  window.ThemeManager = ThemeManager;
+}
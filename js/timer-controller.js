@@ -0,0 +1,430 @@
+/**
+ * MoveSmartAI Timer Controller
+ * One reusable session timer for workouts, stretches, challenges and custom routines,
+ * plus a view that mounts it in any modal
+ */
+
+/**
+ * A named timer that runs an ordered list of steps on a single TimerEngine.
+ *
+ * Steps are objects with a `duration` in seconds; steps with `manual: true`
+ * (e.g. rep-based stretches) hold the clock until done() is called.
+ * A plain countdown is just one step.
+ *
+ * Events: 'start', 'tick', 'phase', 'pause', 'reset', 'complete'
+ * Every handler receives the timer itself; 'phase' also gets the new step.
+ */
+class TimerController {
+  /**
+   * @param {string} name - Instance name (e.g. 'workout', 'challenge', 'stretch')
+   * @param {Object} options
+   * @param {string} options.title - Shown in the modal and used in the session log
+   * @param {Array} options.steps - Ordered steps to run
+   * @param {string} [options.type] - Session log type; defaults to the name
+   */
+  constructor(name, { title, steps, type = name }) {
+    this.name = name;
+    this.title = title;
+    this.type = type;
+    this.steps = steps;
+    this.stepIndex = 0;
+    this.status = 'idle';       // 'idle', 'running', 'paused' or 'complete'
+    this.startedAt = null;
+    this.listeners = {};
+
+    // Offsets of each step on the shared clock; manual steps take no clock time
+    let offset = 0;
+    this.timeline = steps.map(step => {
+      const start = offset;
+      offset += step.manual ? 0 : step.duration;
+      return { start, end: offset };
+    });
+    this.duration = offset;
+
+    // Timed steps share one engine so background catch-up can cross step boundaries;
+    // manual steps are measured with a separate stopwatch
+    this.engine = new TimerEngine(this.duration, {
+      onTick: () => this.update(),
+      onComplete: () => this.update()
+    });
+    this.manualElapsed = 0;
+    this.manualEngine = new TimerEngine(Infinity, {
+      onTick: () => this.emit('tick')
+    });
+  }
+
+  get isRunning() {
+    return this.status === 'running';
+  }
+
+  get step() {
+    return this.steps[this.stepIndex];
+  }
+
+  get isManualStep() {
+    return Boolean(this.step && this.step.manual);
+  }
+
+  /**
+   * Subscribe to an event; returns a function that unsubscribes
+   */
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.listeners[event] = (this.listeners[event] || []).filter(fn => fn !== handler);
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).slice().forEach(handler => {
+      try {
+        handler(this, ...args);
+      } catch (error) {
+        console.error(`Timer "${this.name}" ${event} handler failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Start, or resume after a pause
+   */
+  start() {
+    if (this.status === 'running' || this.status === 'complete') return;
+
+    this.status = 'running';
+    this.startedAt = this.startedAt || new Date().toISOString();
+    this.emit('start');
+
+    if (this.isManualStep) {
+      this.manualEngine.start();
+    } else {
+      this.engine.start();
+    }
+    this.update();
+  }
+
+  /**
+   * Pause, keeping the position in the current step
+   */
+  pause() {
+    if (this.status !== 'running') return;
+
+    this.engine.pause();
+    this.manualEngine.pause();
+    if (this.status !== 'running') return; // Finished while catching up
+
+    this.status = 'paused';
+    this.emit('pause');
+  }
+
+  /**
+   * Back to the first step, stopped
+   */
+  reset() {
+    this.engine.reset();
+    this.manualEngine.reset();
+    this.manualElapsed = 0;
+    this.stepIndex = 0;
+    this.status = 'idle';
+    this.startedAt = null;
+    this.emit('reset');
+  }
+
+  /**
+   * Finish the current manual step and move on
+   */
+  done() {
+    if (!this.isManualStep || this.status === 'complete') return;
+
+    this.manualElapsed += this.manualEngine.elapsed();
+    this.manualEngine.reset();
+
+    if (this.stepIndex >= this.steps.length - 1) {
+      this.finish();
+      return;
+    }
+
+    this.stepIndex++;
+    this.emit('phase', this.step);
+
+    if (this.status === 'running') {
+      if (this.isManualStep) {
+        this.manualEngine.start();
+      } else {
+        this.engine.start();
+      }
+    }
+    this.update();
+  }
+
+  /**
+   * Stop ticking for good and drop all listeners
+   */
+  destroy() {
+    this.engine.destroy();
+    this.manualEngine.destroy();
+    this.listeners = {};
+  }
+
+  /**
+   * Re-read the clock, move through any steps that have ended and emit events
+   */
+  update() {
+    if (this.status !== 'running') return;
+
+    const elapsed = this.engine.elapsed();
+    let changed = false;
+
+    while (this.step) {
+      if (this.isManualStep) {
+        // Hold the shared clock until the user taps done
+        if (!this.manualEngine.isRunning) {
+          if (this.engine.isRunning) {
+            this.engine.seek(this.timeline[this.stepIndex].start);
+            this.engine.pause();
+          }
+          this.manualEngine.start();
+        }
+        break;
+      }
+
+      if (elapsed < this.timeline[this.stepIndex].end) break;
+
+      if (this.stepIndex >= this.steps.length - 1) {
+        this.finish();
+        return;
+      }
+
+      this.stepIndex++;
+      changed = true;
+    }
+
+    if (changed) {
+      this.emit('phase', this.step);
+    }
+    this.emit('tick');
+  }
+
+  /**
+   * Stop both clocks and mark the session complete
+   */
+  finish() {
+    this.status = 'complete';
+    this.engine.pause();
+    this.manualEngine.pause();
+    this.emit('complete');
+  }
+
+  /**
+   * Seconds left in the current step (null while waiting on a manual step)
+   */
+  stepRemaining() {
+    if (this.isManualStep) return null;
+    return Math.max(0, this.timeline[this.stepIndex].end - this.engine.elapsed());
+  }
+
+  /**
+   * Seconds into the current step
+   */
+  stepElapsed() {
+    if (this.isManualStep) return this.manualEngine.elapsed();
+    return Math.max(0, this.engine.elapsed() - this.timeline[this.stepIndex].start);
+  }
+
+  /**
+   * Timed seconds left in the whole session
+   */
+  remaining() {
+    return this.duration - this.engine.elapsed();
+  }
+
+  /**
+   * Seconds actually spent moving, including time on manual steps
+   */
+  elapsed() {
+    return this.engine.elapsed() + this.manualElapsed + this.manualEngine.elapsed();
+  }
+
+  /**
+   * Next step that isn't a rest, if any
+   */
+  nextStep() {
+    return this.steps.slice(this.stepIndex + 1).find(step => step.type !== 'rest') || null;
+  }
+
+  /**
+   * Plain-object state, enough to rebuild the timer after a reload
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      title: this.title,
+      type: this.type,
+      steps: this.steps,
+      stepIndex: this.stepIndex,
+      elapsed: this.engine.elapsedMs() / 1000,
+      manualElapsed: this.manualElapsed,
+      manualStepElapsed: this.manualEngine.elapsedMs() / 1000,
+      status: this.status,
+      startedAt: this.startedAt,
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Rebuild a timer from snapshot(), paused where it was left
+   */
+  static restore(state) {
+    if (!state || !Array.isArray(state.steps) || !state.steps.length) {
+      throw new Error('Saved timer has no steps');
+    }
+
+    const timer = new TimerController(state.name, { title: state.title, steps: state.steps, type: state.type });
+    timer.stepIndex = Math.min(Math.max(0, state.stepIndex || 0), state.steps.length - 1);
+    timer.engine.seek(state.elapsed || 0);
+    timer.manualElapsed = state.manualElapsed || 0;
+    if (timer.isManualStep) {
+      timer.manualEngine.seek(state.manualStepElapsed || 0);
+    }
+    timer.startedAt = state.startedAt || null;
+    timer.status = 'paused';
+    return timer;
+  }
+}
+
+/**
+ * Sessions in progress, saved so they can be offered back after a reload
+ */
+const SavedTimers = {
+  storageKey: 'timers',
+
+  // Older sessions are logged as partial instead of being offered back
+  maxAgeHours: 12,
+
+  /**
+   * Saved snapshots, newest last
+   */
+  load() {
+    try {
+      const saved = AppStore.get(this.storageKey, []);
+      return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      console.warn('Could not load saved timers:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Save every timer that is running or paused (idle and finished ones are dropped)
+   */
+  save(timers) {
+    const snapshots = timers
+      .filter(timer => timer.status === 'running' || timer.status === 'paused')
+      .map(timer => timer.snapshot());
+
+    try {
+      if (snapshots.length) {
+        AppStore.set(this.storageKey, snapshots);
+      } else {
+        AppStore.remove(this.storageKey);
+      }
+    } catch (error) {
+      console.warn('Could not save timers:', error);
+    }
+  },
+
+  /**
+   * Whether a snapshot is too old to offer back
+   */
+  isStale(snapshot, now = Date.now()) {
+    const savedAt = new Date(snapshot.savedAt).getTime();
+    return !savedAt || now - savedAt > this.maxAgeHours * 60 * 60 * 1000;
+  }
+};
+
+/**
+ * Binds a modal's timer markup to a controller.
+ *
+ * Buttons marked data-timer-action="start|pause|reset|done" call onAction(action),
+ * and elements marked data-timer-field="..." are filled by render().
+ */
+class TimerView {
+  /**
+   * @param {HTMLElement} modal - Modal containing the timer markup
+   * @param {Object} handlers
+   * @param {Function} handlers.onAction - Called with the action name when a control is pressed
+   */
+  constructor(modal, { onAction }) {
+    this.modal = modal;
+    this.name = modal.getAttribute('data-timer');
+
+    modal.querySelectorAll('[data-timer-action]').forEach(btn => {
+      btn.addEventListener('click', () => onAction(btn.getAttribute('data-timer-action')));
+    });
+  }
+
+  get isOpen() {
+    return this.modal.classList.contains('active');
+  }
+
+  show() {
+    this.modal.classList.add('active');
+    this.modal.setAttribute('aria-hidden', 'false');
+
+    // Focus management
+    const firstButton = this.modal.querySelector('[data-timer-action="start"]');
+    if (firstButton) {
+      setTimeout(() => firstButton.focus(), 100);
+    }
+  }
+
+  hide() {
+    this.modal.classList.remove('active');
+    this.modal.setAttribute('aria-hidden', 'true');
+  }
+
+  field(name) {
+    return this.modal.querySelector(`[data-timer-field="${name}"]`);
+  }
+
+  /**
+   * Fill in whichever fields this modal has
+   * @param {Object} fields - Text per data-timer-field, plus the phase, breathPhase and manual flags
+   */
+  render({ phase = null, breathPhase = null, manual = false, ...fields }) {
+    Object.entries(fields).forEach(([name, text]) => {
+      const element = this.field(name);
+      if (element) {
+        element.textContent = text;
+      }
+    });
+
+    this.setState('phase', phase);
+    this.setState('breath', breathPhase);
+
+    const doneBtn = this.modal.querySelector('[data-timer-action="done"]');
+    if (doneBtn) {
+      doneBtn.hidden = !manual;
+    }
+  }
+
+  setState(name, value) {
+    if (value) {
+      this.modal.setAttribute(`data-${name}`, value);
+    } else {
+      this.modal.removeAttribute(`data-${name}`);
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimerController, TimerView, SavedTimers };
+} else {
+  // For browser environment
+  window.TimerController = TimerController;
+  window.TimerView = TimerView;
+  window.SavedTimers = SavedTimers;
+}
@@ -0,0 +1,179 @@
+/**
+ * MoveSmartAI Timer Engine
+ * Timestamp-based countdown that stays accurate when the browser throttles background tabs
+ */
+
+class TimerEngine {
+  /**
+   * @param {number} duration - Length in seconds (Infinity for an open-ended stopwatch)
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onTick] - Called with (remaining, elapsed) whenever a whole second passes
+   * @param {Function} [handlers.onComplete] - Called once when the countdown reaches zero
+   * @param {number} [handlers.tickMs] - How often to check the clock while running
+   */
+  constructor(duration, { onTick = null, onComplete = null, tickMs = 250 } = {}) {
+    this.duration = duration;
+    this.onTick = onTick;
+    this.onComplete = onComplete;
+    this.tickMs = tickMs;
+
+    this.startTime = null;     // Wall-clock ms when the run started
+    this.pausedTotal = 0;      // Accumulated ms spent paused since startTime
+    this.pausedAt = null;      // Wall-clock ms of the current pause, if paused
+    this.endTime = null;       // Target end: startTime + duration + pausedTotal
+    this.interval = null;
+    this.lastElapsed = 0;
+    this.completed = false;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  get isRunning() {
+    return this.startTime !== null && this.pausedAt === null && !this.completed;
+  }
+
+  /**
+   * Start, or resume after a pause
+   */
+  start() {
+    if (this.isRunning || this.completed) return;
+
+    const now = Date.now();
+    if (this.startTime === null) {
+      this.startTime = now;
+    } else if (this.pausedAt !== null) {
+      this.pausedTotal += now - this.pausedAt;
+    }
+    this.pausedAt = null;
+    this.endTime = this.startTime + this.duration * 1000 + this.pausedTotal;
+
+    this.interval = setInterval(() => this.update(), this.tickMs);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * Pause, keeping the elapsed time
+   */
+  pause() {
+    if (!this.isRunning) return;
+
+    this.update();
+    if (this.completed) return;
+
+    this.pausedAt = Date.now();
+    this.stopTicking();
+  }
+
+  /**
+   * Back to the full duration, stopped
+   */
+  reset() {
+    this.stopTicking();
+    this.startTime = null;
+    this.pausedTotal = 0;
+    this.pausedAt = null;
+    this.endTime = null;
+    this.lastElapsed = 0;
+    this.completed = false;
+  }
+
+  /**
+   * Jump to a position (in seconds), keeping the running/paused state
+   */
+  seek(seconds) {
+    const now = Date.now();
+    const ms = Math.max(0, Math.min(seconds * 1000, this.duration * 1000));
+    const wasRunning = this.isRunning;
+
+    this.startTime = now - ms;
+    this.pausedTotal = 0;
+    this.pausedAt = wasRunning ? null : now;
+    this.endTime = this.startTime + this.duration * 1000;
+    this.lastElapsed = Math.floor(ms / 1000);
+    this.completed = false;
+  }
+
+  /**
+   * Stop ticking for good (e.g. when the session is discarded)
+   */
+  destroy() {
+    this.stopTicking();
+    this.onTick = null;
+    this.onComplete = null;
+  }
+
+  /**
+   * Milliseconds of active (unpaused) time, capped at the duration
+   */
+  elapsedMs() {
+    if (this.startTime === null) return 0;
+
+    const now = this.pausedAt !== null ? this.pausedAt : Date.now();
+    const elapsed = now - this.startTime - this.pausedTotal;
+    return Math.max(0, Math.min(elapsed, this.duration * 1000));
+  }
+
+  /**
+   * Whole seconds elapsed
+   */
+  elapsed() {
+    return Math.floor(this.elapsedMs() / 1000);
+  }
+
+  /**
+   * Whole seconds left (counts down 60, 59, ... like a wall clock)
+   */
+  remaining() {
+    return this.duration - this.elapsed();
+  }
+
+  /**
+   * Re-read the clock and emit tick/complete; safe to call at any time
+   */
+  update() {
+    if (this.startTime === null || this.completed) return;
+
+    const { startTime, pausedAt } = this;
+    let elapsed = this.elapsed();
+    if (elapsed !== this.lastElapsed) {
+      this.lastElapsed = elapsed;
+      if (this.onTick) this.onTick(this.remaining(), elapsed);
+
+      // onTick may have seeked, paused or finished the timer (e.g. the controller holding the clock
+      // for a reps step after a background catch-up); the time read before that no longer counts
+      if (this.completed || this.startTime !== startTime || this.pausedAt !== pausedAt) return;
+      elapsed = this.elapsed();
+    }
+
+    if (elapsed >= this.duration) {
+      this.completed = true;
+      this.stopTicking();
+      if (this.onComplete) this.onComplete();
+    }
+  }
+
+  /**
+   * Catch up straight away when the page becomes visible again
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible') {
+      this.update();
+    }
+  }
+
+  stopTicking() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimerEngine };
+} else {
+  // For browser environment
+  window.TimerEngine = TimerEngine;
+}
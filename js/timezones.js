@@ -0,0 +1,228 @@
+/**
+ * MoveSmartAI Time Zones
+ * Wall-clock times in an IANA time zone (e.g. "Europe/London"), so a 9:00 reminder stays at 9:00
+ * across daylight saving changes, plus the VTIMEZONE block calendars need to do the same
+ */
+
+const TimeZones = {
+  // Used when the browser can't say where it is
+  fallback: 'UTC',
+
+  formatters: new Map(),
+
+  /**
+   * The browser's IANA time zone
+   */
+  current() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || this.fallback;
+    } catch (error) {
+      return this.fallback;
+    }
+  },
+
+  /**
+   * Every zone the browser knows, for a picker (at least the current one)
+   */
+  list() {
+    const current = this.current();
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return zones.includes(current) ? zones : [current, ...zones];
+  },
+
+  isValid(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return Boolean(timeZone);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Wall-clock parts of an instant in a zone
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', year, month, day, hours, minutes, seconds }
+   */
+  wallTime(date, timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    }
+
+    const parts = {};
+    this.formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+    const pad = value => String(value).padStart(2, '0');
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hours: parts.hour,
+      minutes: parts.minute,
+      seconds: parts.second,
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      time: `${pad(parts.hour)}:${pad(parts.minute)}`
+    };
+  },
+
+  /**
+   * Minutes the zone is ahead of UTC at an instant (e.g. 60 for London in summer)
+   */
+  offset(date, timeZone) {
+    const wall = this.wallTime(date, timeZone);
+    const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hours, wall.minutes, wall.seconds);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  },
+
+  /**
+   * The instant a wall-clock time happens in a zone
+   *
+   * A time skipped by the spring-forward change moves on by the gap (02:30 becomes 03:30);
+   * a time that happens twice in the autumn gets the first of the two.
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {string} time - 'HH:MM' (or 'HH:MM:SS')
+   */
+  toInstant(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    // The offset a few hours either side of the time decides which of them applies
+    const before = this.offset(new Date(asUtc - 12 * 3600000), timeZone);
+    const after = this.offset(new Date(asUtc + 12 * 3600000), timeZone);
+    const earlier = new Date(asUtc - Math.max(before, after) * 60000);
+    if (this.offset(earlier, timeZone) === Math.max(before, after)) {
+      return earlier;
+    }
+    return new Date(asUtc - Math.min(before, after) * 60000);
+  },
+
+  /**
+   * Format an instant in a zone, like toLocaleString
+   */
+  format(date, timeZone, options = {}) {
+    return new Date(date).toLocaleString([], { ...options, timeZone: this.isValid(timeZone) ? timeZone : undefined });
+  },
+
+  /**
+   * '+0100' style offset for calendars
+   */
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+  },
+
+  /**
+   * Short name of the zone at an instant ("EDT", "GMT+1")
+   */
+  abbreviation(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+  },
+
+  /**
+   * Daylight saving changes in a year, in order
+   * @returns {Array<Object>} [{ at: Date, from, to }] with offsets in minutes (empty for zones without DST)
+   */
+  transitions(year, timeZone) {
+    const found = [];
+    let previous = Date.UTC(year, 0, 1);
+    let previousOffset = this.offset(new Date(previous), timeZone);
+
+    // Day by day, then narrow each change down to the minute
+    for (let day = 1; day <= 366; day++) {
+      const time = Date.UTC(year, 0, 1 + day);
+      const offset = this.offset(new Date(time), timeZone);
+      if (offset !== previousOffset) {
+        let low = previous;
+        let high = time;
+        while (high - low > 60000) {
+          const middle = Math.floor((low + high) / 120000) * 60000;
+          if (this.offset(new Date(middle), timeZone) === previousOffset) {
+            low = middle;
+          } else {
+            high = middle;
+          }
+        }
+        found.push({ at: new Date(high), from: previousOffset, to: offset });
+      }
+      previous = time;
+      previousOffset = offset;
+    }
+    return found.filter(({ at }) => at.getUTCFullYear() === year);
+  },
+
+  /**
+   * VTIMEZONE lines for a zone, using the daylight saving rules of `year`
+   *
+   * Each change repeats yearly on the same weekday of the month (e.g. the last Sunday in March),
+   * counted from 1970 so events before `year` are covered too.
+   */
+  toVTimezone(timeZone, year = new Date().getFullYear()) {
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const changes = this.transitions(year, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+
+    if (!changes.length) {
+      const offset = this.formatOffset(this.offset(new Date(Date.UTC(year, 0, 1)), timeZone));
+      lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`,
+        `TZNAME:${this.abbreviation(new Date(Date.UTC(year, 0, 1)), timeZone)}`, 'END:STANDARD');
+    }
+
+    changes.forEach(({ at, from, to }) => {
+      // Calendars want the change as the wall-clock time just before it, on the old offset
+      const local = new Date(at.getTime() + from * 60000);
+      const dayOfMonth = local.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+      const week = dayOfMonth + 7 > daysInMonth ? -1 : Math.ceil(dayOfMonth / 7);
+      const weekday = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][local.getUTCDay()];
+      const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+      const first = this.nthWeekday(1970, local.getUTCMonth(), local.getUTCDay(), week);
+
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:1970${pad(local.getUTCMonth() + 1)}${pad(first)}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${weekday}`,
+        `TZOFFSETFROM:${this.formatOffset(from)}`,
+        `TZOFFSETTO:${this.formatOffset(to)}`,
+        `TZNAME:${this.abbreviation(at, timeZone)}`,
+        `END:${kind}`
+      );
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  },
+
+  /**
+   * Day of the month of the `week`th (or last, for -1) `weekday` in a month
+   */
+  nthWeekday(year, month, weekday, week) {
+    if (week === -1) {
+      const last = new Date(Date.UTC(year, month + 1, 0));
+      return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+    }
+    const first = new Date(Date.UTC(year, month, 1));
+    return 1 + ((weekday - first.getUTCDay() + 7) % 7) + (week - 1) * 7;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimeZones };
+} else {
+  // For browser environment
+  window.TimeZones = TimeZones;
+}
@@ -0,0 +1,425 @@
+/**
+ * MoveSmartAI Workout Definitions
+ * Structured routines (exercises, work/rest intervals, rounds, reps) that drive the workout timer,
+ * difficulty levels, plus parsing of the stretch card steps for the stretch player
+ */
+
+// Built-in workout routines
+// Keys match the data-routine attribute on the workout cards in index.html. Exercise ids point at
+// EXERCISE_POOL (for easier/harder variants); `levels` are the Beginner and Advanced presets, with
+// absolute rounds, restBetweenRounds and defaults and a reps multiplier (see DIFFICULTY_LEVELS)
+const WORKOUT_ROUTINES = {
+  'full-body-5': {
+    id: 'full-body-5',
+    title: '5-Min Full Body (Beginner-Friendly)',
+    rounds: 2,
+    restBetweenRounds: 0,
+    defaults: { work: 30, rest: 0 },
+    levels: {
+      beginner: { rounds: 1, defaults: { work: 30, rest: 15 } },
+      advanced: { rounds: 3, defaults: { work: 40, rest: 10 } }
+    },
+    exercises: [
+      { id: 'march-in-place', name: 'March in place' },
+      { id: 'chair-squat', name: 'Chair squat / Squat', reps: 10 },
+      { id: 'wall-push-ups', name: 'Wall push-ups', reps: 10 },
+      { id: 'glute-bridges', name: 'Glute bridges', reps: 10 },
+      { id: 'standing-stretch', name: 'Standing stretch + deep breaths' }
+    ]
+  },
+
+  'full-body-10': {
+    id: 'full-body-10',
+    title: '10-Min Full Body',
+    rounds: 2,
+    restBetweenRounds: 20,
+    defaults: { work: 40, rest: 20 },
+    levels: {
+      beginner: { rounds: 2, restBetweenRounds: 30, defaults: { work: 30, rest: 30 } },
+      advanced: { rounds: 3, restBetweenRounds: 15, defaults: { work: 45, rest: 15 } }
+    },
+    exercises: [
+      { id: 'chair-squat', name: 'Squats (or chair sit-to-stand)' },
+      { id: 'incline-push-ups', name: 'Incline push-ups (wall/table)' },
+      { id: 'reverse-lunges', name: 'Reverse lunges (or step-backs)' },
+      { id: 'dead-bug', name: 'Dead bug (core)' },
+      { id: 'plank', name: 'Plank (knees if needed)' }
+    ]
+  },
+
+  'strength-cardio-15': {
+    id: 'strength-cardio-15',
+    title: '15-Min Strength + Cardio (3 circuits)',
+    rounds: 3,
+    restBetweenRounds: 60,
+    defaults: { work: 45, rest: 15 },
+    levels: {
+      beginner: { rounds: 2, reps: 0.75, defaults: { work: 35, rest: 25 } },
+      advanced: { rounds: 4, restBetweenRounds: 45, reps: 1.25, defaults: { work: 50, rest: 10 } }
+    },
+    exercises: [
+      { id: 'chair-squat', name: 'Squats', reps: 12 },
+      { id: 'incline-push-ups', name: 'Incline push-ups', reps: 8, work: 40 },
+      { id: 'glute-bridges', name: 'Glute bridges', reps: 12 },
+      { id: 'plank', name: 'Plank', work: 20 },
+      { id: 'step-touch', name: 'Step-touch / march' }
+    ]
+  }
+};
+
+// Difficulty levels: which exercise variant to use, and how amounts change for routines without
+// their own preset (custom routines, or anything a preset leaves out)
+const DIFFICULTY_LEVELS = {
+  beginner: {
+    label: 'Beginner',
+    variant: 'easier',
+    description: 'Easier moves, fewer reps, more rest',
+    reps: 0.7,
+    work: 0.75,
+    rest: 1.5,
+    rounds: -1
+  },
+  intermediate: {
+    label: 'Intermediate',
+    variant: 'standard',
+    description: 'As written',
+    reps: 1,
+    work: 1,
+    rest: 1,
+    rounds: 0
+  },
+  advanced: {
+    label: 'Advanced',
+    variant: 'harder',
+    description: 'Harder moves, more reps, less rest',
+    reps: 1.3,
+    work: 1.25,
+    rest: 0.5,
+    rounds: 1
+  }
+};
+
+// Exercises offered by the custom routine builder, each with a sensible starting amount and,
+// for the strength and cardio moves, easier and harder variants (the name is the standard one)
+const EXERCISE_POOL = [
+  { id: 'march-in-place', name: 'March in place', measure: 'seconds', amount: 30,
+    variants: { easier: 'Slow march in place', harder: 'High knees' } },
+  { id: 'chair-squat', name: 'Chair squat / Squat', measure: 'reps', amount: 10,
+    variants: { easier: 'Chair sit-to-stand', harder: 'Jump squats' } },
+  { id: 'wall-push-ups', name: 'Wall push-ups', measure: 'reps', amount: 10,
+    variants: { easier: 'Wall push-ups (feet closer to the wall)', harder: 'Incline push-ups (table)' } },
+  { id: 'incline-push-ups', name: 'Incline push-ups (wall/table)', measure: 'reps', amount: 8,
+    variants: { easier: 'Wall push-ups', harder: 'Floor push-ups' } },
+  { id: 'glute-bridges', name: 'Glute bridges', measure: 'reps', amount: 12,
+    variants: { easier: 'Glute bridges (small range)', harder: 'Single-leg glute bridges' } },
+  { id: 'reverse-lunges', name: 'Reverse lunges (or step-backs)', measure: 'reps', amount: 10,
+    variants: { easier: 'Step-backs (hold a chair)', harder: 'Reverse lunges with knee drive' } },
+  { id: 'dead-bug', name: 'Dead bug (core)', measure: 'seconds', amount: 40,
+    variants: { easier: 'Dead bug (arms only)', harder: 'Dead bug (legs straight)' } },
+  { id: 'plank', name: 'Plank (knees if needed)', measure: 'seconds', amount: 20,
+    variants: { easier: 'Knee plank', harder: 'Plank with shoulder taps' } },
+  { id: 'step-touch', name: 'Step-touch / march', measure: 'seconds', amount: 45,
+    variants: { easier: 'Step-touch', harder: 'Jumping jacks' } },
+  { id: 'cat-cow', name: 'Cat-cow', measure: 'reps', amount: 8 },
+  { id: 'shoulder-rolls', name: 'Shoulder rolls', measure: 'reps', amount: 10 },
+  { id: 'neck-side-stretch', name: 'Neck side stretch', measure: 'seconds', amount: 20 },
+  { id: 'chest-opener', name: 'Chest opener', measure: 'seconds', amount: 20 },
+  { id: 'hip-flexor-stretch', name: 'Hip flexor stretch', measure: 'seconds', amount: 20 },
+  { id: 'hamstring-stretch', name: 'Hamstring stretch', measure: 'seconds', amount: 20 },
+  { id: 'childs-pose', name: "Child's pose", measure: 'seconds', amount: 30 },
+  { id: 'standing-stretch', name: 'Standing stretch + deep breaths', measure: 'seconds', amount: 30 }
+];
+
+/**
+ * Helpers for turning a routine into an ordered list of timed steps
+ */
+const WorkoutSteps = {
+  /**
+   * Expand a routine into work/rest steps, round by round
+   */
+  build(routine) {
+    const defaults = routine.defaults || {};
+    const rounds = routine.rounds || 1;
+    const steps = [];
+
+    for (let round = 1; round <= rounds; round++) {
+      routine.exercises.forEach((exercise, index) => {
+        const isLastInRound = index === routine.exercises.length - 1;
+
+        // Rep-based exercises with no time window wait for a "done" tap
+        const work = exercise.work ?? defaults.work;
+        const manual = work == null && Boolean(exercise.reps);
+
+        steps.push({
+          type: 'work',
+          name: exercise.name,
+          duration: manual ? 0 : (work ?? 30),
+          reps: exercise.reps || null,
+          manual,
+          round,
+          totalRounds: rounds,
+          exerciseIndex: index
+        });
+
+        // No trailing rest once the final exercise of the final round is done
+        let rest = isLastInRound ? (routine.restBetweenRounds || 0) : (exercise.rest ?? defaults.rest ?? 0);
+        if (isLastInRound && round === rounds) {
+          rest = 0;
+        }
+
+        if (rest > 0) {
+          steps.push({
+            type: 'rest',
+            name: 'Rest',
+            duration: rest,
+            reps: null,
+            round,
+            totalRounds: rounds,
+            exerciseIndex: index
+          });
+        }
+      });
+    }
+
+    return steps;
+  },
+
+  /**
+   * Total length of a list of steps in seconds
+   */
+  total(steps) {
+    return steps.reduce((sum, step) => sum + step.duration, 0);
+  },
+
+  /**
+   * Find the step running after `elapsed` seconds, or null once every step is done
+   */
+  at(steps, elapsed) {
+    let start = 0;
+
+    for (let index = 0; index < steps.length; index++) {
+      const end = start + steps[index].duration;
+      if (elapsed < end) {
+        return { index, step: steps[index], remaining: end - elapsed };
+      }
+      start = end;
+    }
+
+    return null;
+  },
+
+  /**
+   * Next work step after the given index (skips rests)
+   */
+  nextWork(steps, index) {
+    for (let i = index + 1; i < steps.length; i++) {
+      if (steps[i].type === 'work') return steps[i];
+    }
+    return null;
+  }
+};
+
+/**
+ * The difficulty level chosen for each routine, and routines adjusted to a level
+ */
+const WorkoutLevels = {
+  storageKey: 'levels',
+  defaultLevel: 'intermediate',
+
+  levels: DIFFICULTY_LEVELS,
+
+  /**
+   * Saved level per routine id
+   */
+  load() {
+    try {
+      return AppStore.get(this.storageKey, {});
+    } catch (error) {
+      console.warn('Could not load workout levels:', error);
+      return {};
+    }
+  },
+
+  /**
+   * The level chosen for a routine (the default when none was chosen)
+   */
+  get(routineId) {
+    const level = this.load()[routineId];
+    return this.levels[level] ? level : this.defaultLevel;
+  },
+
+  /**
+   * Remember the level for a routine
+   * @throws {Error} For an unknown level
+   */
+  set(routineId, level) {
+    if (!this.levels[level]) {
+      throw new Error(`Level must be one of: ${Object.keys(this.levels).join(', ')}.`);
+    }
+
+    const saved = this.load();
+    saved[routineId] = level;
+    try {
+      AppStore.set(this.storageKey, saved);
+    } catch (error) {
+      console.warn('Could not save workout level:', error);
+    }
+    return level;
+  },
+
+  /**
+   * Drop the saved level of a routine that no longer exists
+   */
+  forget(routineId) {
+    const saved = this.load();
+    if (!(routineId in saved)) return;
+
+    delete saved[routineId];
+    try {
+      AppStore.set(this.storageKey, saved);
+    } catch (error) {
+      console.warn('Could not save workout levels:', error);
+    }
+  },
+
+  /**
+   * Name of an exercise at a level: its pool variant, or its own name when there isn't one
+   */
+  variantName(exercise, level) {
+    const { variant } = this.levels[level] || this.levels[this.defaultLevel];
+    if (variant === 'standard' || !exercise.id) return exercise.name;
+
+    const pooled = EXERCISE_POOL.find(item => item.id === exercise.id);
+    return (pooled && pooled.variants && pooled.variants[variant]) || exercise.name;
+  },
+
+  /**
+   * A copy of a routine adjusted to a level: variant names, the routine's preset (or the
+   * level's general changes) for rounds and rest, and scaled reps and work windows
+   */
+  apply(routine, level) {
+    const settings = this.levels[level] || this.levels[this.defaultLevel];
+    if (settings === this.levels[this.defaultLevel]) {
+      return { ...routine, level: this.defaultLevel };
+    }
+
+    const preset = (routine.levels && routine.levels[level]) || {};
+    const presetDefaults = preset.defaults || {};
+    const defaults = routine.defaults || {};
+    const repsScale = preset.reps ?? settings.reps;
+
+    return {
+      ...routine,
+      level,
+      rounds: preset.rounds ?? Math.max(1, (routine.rounds || 1) + settings.rounds),
+      restBetweenRounds: preset.restBetweenRounds ?? this.scaleSeconds(routine.restBetweenRounds, settings.rest),
+      defaults: {
+        ...defaults,
+        work: presetDefaults.work ?? this.scaleSeconds(defaults.work, settings.work, 10),
+        rest: presetDefaults.rest ?? this.scaleSeconds(defaults.rest, settings.rest)
+      },
+      exercises: routine.exercises.map(exercise => {
+        const adjusted = { ...exercise, name: this.variantName(exercise, level) };
+        if (exercise.reps) adjusted.reps = Math.max(1, Math.round(exercise.reps * repsScale));
+        if (exercise.work != null) adjusted.work = this.scaleSeconds(exercise.work, settings.work, 10);
+        if (exercise.rest != null) adjusted.rest = this.scaleSeconds(exercise.rest, settings.rest);
+        return adjusted;
+      })
+    };
+  },
+
+  /**
+   * Scale a number of seconds, rounded to 5 (undefined and 0 stay as they are)
+   */
+  scaleSeconds(seconds, factor, minimum = 0) {
+    if (!seconds) return seconds;
+    return Math.max(minimum, Math.round((seconds * factor) / 5) * 5);
+  }
+};
+
+/**
+ * Helpers for turning stretch card steps ("Hip flexor stretch: 20s/side", "Cat-cow: 8 reps")
+ * into an ordered list of holds and rep sets
+ */
+const StretchSteps = {
+  // Breathing pace for static holds, in seconds
+  breathPace: { inhale: 4, exhale: 4 },
+
+  // Used when a step gives no timing at all
+  defaultHold: 30,
+
+  /**
+   * Parse one stretch step label into { name, duration, reps, perSide }
+   */
+  parse(text) {
+    const separator = text.indexOf(':');
+    const name = (separator === -1 ? text : text.slice(0, separator)).trim();
+    const dose = (separator === -1 ? '' : text.slice(separator + 1)).trim().toLowerCase();
+    const perSide = /(\/\s*side|per side|each side)/.test(dose);
+
+    const reps = dose.match(/(\d+)\s*reps?\b/);
+    if (reps) {
+      return { name, duration: 0, reps: parseInt(reps[1]), perSide };
+    }
+
+    const minutes = dose.match(/(\d+)\s*min/);
+    const seconds = dose.match(/(\d+)\s*s\b/);
+    let duration = this.defaultHold;
+    if (minutes) {
+      duration = parseInt(minutes[1]) * 60;
+    } else if (seconds) {
+      duration = parseInt(seconds[1]);
+    }
+
+    return { name, duration, reps: null, perSide };
+  },
+
+  /**
+   * Expand parsed stretches into player steps, splitting per-side holds into left and right
+   */
+  build(stretches) {
+    const steps = [];
+
+    stretches.forEach((stretch, index) => {
+      const type = stretch.reps ? 'reps' : 'hold';
+      const base = {
+        type,
+        name: stretch.name,
+        duration: type === 'reps' ? 0 : stretch.duration,
+        reps: stretch.reps,
+        manual: type === 'reps', // Waits for a "done" tap instead of a countdown
+        stretchIndex: index
+      };
+
+      if (stretch.perSide) {
+        steps.push({ ...base, side: 'Left side', switchSides: false });
+        steps.push({ ...base, side: 'Right side', switchSides: true });
+      } else {
+        steps.push({ ...base, side: null, switchSides: false });
+      }
+    });
+
+    return steps;
+  },
+
+  /**
+   * Breathing phase ('in' or 'out') a given number of seconds into a hold
+   */
+  breathAt(secondsIntoHold) {
+    const { inhale, exhale } = this.breathPace;
+    return secondsIntoHold % (inhale + exhale) < inhale ? 'in' : 'out';
+  }
+};
+
+// Export definitions for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WORKOUT_ROUTINES, DIFFICULTY_LEVELS, EXERCISE_POOL, WorkoutSteps, WorkoutLevels, StretchSteps };
+} else {
+  // For browser environment
+  window.WORKOUT_ROUTINES = WORKOUT_ROUTINES;
+  window.DIFFICULTY_LEVELS = DIFFICULTY_LEVELS;
+  window.EXERCISE_POOL = EXERCISE_POOL;
+  window.WorkoutSteps = WorkoutSteps;
+  window.WorkoutLevels = WorkoutLevels;
+  window.StretchSteps = StretchSteps;
+}
@@ -0,0 +1,139 @@
+/**
+ * MoveSmartAI Service Worker
+ * Precaches the app shell so workouts, stretches, tips and timers work offline
+ *
+ * Bump CACHE_VERSION whenever any precached file changes; open tabs then get an update prompt.
+ */
+
+const CACHE_VERSION = 'v16';
+const CACHE_PREFIX = 'movesmartai-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+
+// Everything the app needs to run with no network
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'js/config.js',
+  'js/store.js',
+  'js/settings.js',
+  'js/backup.js',
+  'js/templates.js',
+  'js/theme.js',
+  'js/workouts.js',
+  'js/exercises.js',
+  'js/routines.js',
+  'js/router.js',
+  'js/breaks.js',
+  'js/reminders.js',
+  'js/timezones.js',
+  'js/recurrence.js',
+  'js/icalendar.js',
+  'js/delivery.js',
+  'js/history.js',
+  'js/cues.js',
+  'js/timer-engine.js',
+  'js/timer-controller.js',
+  'js/app.js',
+  'images/favicon-32x32.svg',
+  'images/favicon.svg',
+  'images/apple-touch-icon.svg',
+  'images/logo.svg',
+  'images/abc4022c-f833-48e6-af9f-924fd68dae25.png'
+];
+
+// Google Fonts are cached as they're used; the system font stack covers a first offline visit
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  // The new version waits until the page says the user accepted the update
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shell caches from older versions
+  event.waitUntil(
+    caches.keys().then(names => Promise.all(
+      names
+        .filter(name => name.startsWith(`${CACHE_PREFIX}shell-`) && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))
+    ))
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Movement break notifications: hand the click to an open tab, or open the app on the challenge
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification;
+  const { path, url } = notification.data || {};
+  const action = event.action || 'open';
+  notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const client = windows[0];
+      if (client) {
+        client.postMessage({ type: 'BREAK_ACTION', action, path });
+        return action === 'open' && client.focus ? client.focus() : undefined;
+      }
+      return action === 'open' && url ? self.clients.openWindow(url) : undefined;
+    })
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  // Botpress, EmailJS and other third parties go straight to the network
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // Serve the cached shell (whatever the query string, e.g. ?newSession=) so the page
+    // always matches the scripts cached with it; new versions arrive through the update prompt
+    event.respondWith(
+      caches.match('index.html', { cacheName: SHELL_CACHE })
+        .then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })
+      .then(cached => cached || fetch(request))
+  );
+});
+
+/**
+ * Answer from the cache straight away and refresh it in the background
+ */
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then(cache => cache.match(request).then(cached => {
+    const network = fetch(request)
+      .then(response => {
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      })
+      .catch(() => cached || Response.error());
+
+    return cached || network;
+  }));
+}